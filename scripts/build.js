@@ -13,6 +13,8 @@ async function build() {
   await mkdir(DIST, { recursive: true });
   await mkdir(join(DIST, "js"), { recursive: true });
   await mkdir(join(DIST, "vendor"), { recursive: true });
+  await mkdir(join(DIST, "vendor/tesseract/core"), { recursive: true });
+  await mkdir(join(DIST, "vendor/tesseract/lang"), { recursive: true });
 
   // Bundle the JavaScript modules
   console.log("Bundling JavaScript...");
@@ -60,6 +62,26 @@ async function build() {
     { recursive: true }
   );
 
+  // OCR engine for scanned bills: script, worker, WASM cores and English data
+  await copyFile(
+    join(NODE_MODULES, "tesseract.js/dist/tesseract.min.js"),
+    join(DIST, "vendor/tesseract/tesseract.min.js")
+  );
+  await copyFile(
+    join(NODE_MODULES, "tesseract.js/dist/worker.min.js"),
+    join(DIST, "vendor/tesseract/worker.min.js")
+  );
+  for (const core of ["tesseract-core-lstm.wasm.js", "tesseract-core-simd-lstm.wasm.js"]) {
+    await copyFile(
+      join(NODE_MODULES, "tesseract.js-core", core),
+      join(DIST, "vendor/tesseract/core", core)
+    );
+  }
+  await copyFile(
+    join(NODE_MODULES, "@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz"),
+    join(DIST, "vendor/tesseract/lang/eng.traineddata.gz")
+  );
+
   // Copy and update HTML
   console.log("Processing HTML...");
   let html = await readFile(join(SRC, "index.html"), "utf-8");
@@ -14,6 +14,11 @@ const VENDOR_MAP = {
   "chart.min.js.map": "chart.js/dist/chart.umd.js.map",
   "katex.min.js": "katex/dist/katex.min.js",
   "katex.min.css": "katex/dist/katex.min.css",
+  "tesseract/tesseract.min.js": "tesseract.js/dist/tesseract.min.js",
+  "tesseract/worker.min.js": "tesseract.js/dist/worker.min.js",
+  "tesseract/core/tesseract-core-lstm.wasm.js": "tesseract.js-core/tesseract-core-lstm.wasm.js",
+  "tesseract/core/tesseract-core-simd-lstm.wasm.js": "tesseract.js-core/tesseract-core-simd-lstm.wasm.js",
+  "tesseract/lang/eng.traineddata.gz": "@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz",
 };
 
 const PORT = 8080;
@@ -0,0 +1,53 @@
+/**
+ * Accounts Module
+ * Groups bills by the utility account they belong to, so one session can
+ * hold bills for several homes without mixing them into one dataset
+ */
+
+// Account selection meaning "every account together"
+export const COMBINED = 'all';
+
+/**
+ * Key identifying the account a bill belongs to
+ * Bills are matched on utility and account number, falling back to the
+ * service address when the account number wasn't found.
+ * @param {Object} bill - Bill tagged with `account` by the extractor registry
+ * @returns {string}
+ */
+export function accountKey(bill) {
+    const utility = bill.utility?.id ?? 'unknown';
+    const { accountNumber, serviceAddress } = bill.account ?? {};
+    if (accountNumber) return `${utility}:${accountNumber}`;
+    if (serviceAddress) return `${utility}:address:${serviceAddress.toUpperCase().replace(/\s+/g, ' ')}`;
+    return `${utility}:unknown`;
+}
+
+/**
+ * Group bills by account, in order of each account's first bill
+ * @param {Array} bills - Bills sorted by statement date
+ * @returns {Array<{key: string, account: Object, bills: Array}>} Groups whose
+ *     `account` is the account info from the group's latest bill
+ */
+export function groupByAccount(bills) {
+    const groups = new Map();
+    for (const bill of bills) {
+        const key = accountKey(bill);
+        if (!groups.has(key)) {
+            groups.set(key, { key, account: null, bills: [] });
+        }
+        const group = groups.get(key);
+        group.bills.push(bill);
+        group.account = bill.account ?? group.account;
+    }
+    return [...groups.values()];
+}
+
+/**
+ * Short label for an account, e.g. for the account switcher
+ * @param {Object|null} account - Account info
+ * @returns {string} e.g. "1234-5678-901 (123 MAIN ST, ITHACA, NY 14850)"
+ */
+export function accountLabel(account) {
+    const number = account?.accountNumber || 'Unknown account';
+    return account?.serviceAddress ? `${number} (${account.serviceAddress})` : number;
+}
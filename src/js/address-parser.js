@@ -0,0 +1,385 @@
+/**
+ * Address Parser Module
+ * Finds the mailing and service address blocks on a bill by their position
+ * on the page and splits them into name, street, unit and city/state/ZIP
+ *
+ * A block is anchored on its "CITY, ST 12345" line and grows upward through
+ * the lines aligned with it (or leftward along its row, for bills that print
+ * an address on one line), stopping at a label such as "Service Address:".
+ */
+
+// US state and territory abbreviations, so "ACCOUNT NO 12345" isn't a city line
+const STATES = new Set([
+    'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA',
+    'KS', 'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM',
+    'NY', 'NC', 'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA',
+    'WV', 'WI', 'WY', 'PR', 'VI', 'GU'
+]);
+
+// Street suffixes, only used to guess where the city starts on a one-line address
+const STREET_SUFFIXES = new Set([
+    'ST', 'STREET', 'RD', 'ROAD', 'AVE', 'AVENUE', 'DR', 'DRIVE', 'LN', 'LANE', 'CT', 'COURT', 'WAY',
+    'BLVD', 'PL', 'PLACE', 'CIR', 'CIRCLE', 'TER', 'TERRACE', 'PKWY', 'HWY', 'TPKE', 'EXT', 'RUN', 'TRL'
+]);
+
+// "ITHACA, NY 14850" or "ITHACA NY 14850-1234" at the end of a line
+const CITY_STATE_ZIP = /(?:^|[\s,])([A-Z]{2})\s+(\d{5}(?:-\d{4})?)\s*$/;
+
+// Apartment and unit designators
+const UNIT_DESIGNATORS = ['APT', 'APARTMENT', 'UNIT', 'STE', 'SUITE', 'FL', 'FLOOR', 'LOT', 'RM', 'ROOM', 'BLDG', 'TRLR'];
+
+// Unit on its own line or at the end of a street line: "APT 2B", "UNIT 4", "#3"
+const UNIT = new RegExp(`(?:^|[\\s,]+)(${UNIT_DESIGNATORS.join('|')}|#)\\.?\\s*#?\\s*([A-Z0-9][A-Z0-9-]*)\\s*$`, 'i');
+
+const PO_BOX = /^(?:P\.?\s*O\.?|POST\s+OFFICE)\s*BOX\s+([A-Z0-9-]+)$/i;
+
+// House number first: "123 MAIN ST", "12-14 ELM ST", "45B OAK AVE"
+const STREET = /^\d+[A-Z]?(?:[-/]\d+[A-Z]?)?\s+\S/i;
+
+const CARE_OF = /^(?:C\/O|ATTN:?)\s+/i;
+
+// Person or business name: letters with spaces, hyphens, apostrophes, periods, commas and "&"
+const NAME = /^[A-Z][A-Za-z.'-]*(?:,?\s+(?:&|[A-Za-z][A-Za-z.'-]*))*$/;
+
+// Labels that introduce an address block, by block kind
+const LABELS = {
+    service: /^(?:Service\s+(?:Address|Location|For|At)|Premises(?:\s+Address)?|Location\s+of\s+Service)\s*:?\s*/i,
+    mailing: /^(?:Mailing\s+Address|Mail\s+To|Billing\s+Address|Bill\s+To)\s*:?\s*/i,
+    remit: /^(?:Make\s+checks?\s+payable\s+to|(?:Mail|Send)\s+(?:your\s+)?payments?\s+to|Remit(?:tance)?(?:\s+Address)?(?:\s+to)?)\s*:?\s*/i
+};
+
+// Most lines a block can have above its city line
+const MAX_BLOCK_LINES = 4;
+
+// Rows further apart than this many text heights aren't in the same block
+const LINE_SPACING = 2;
+
+// Lines within this many text heights of the city line's left edge are aligned with it
+const ALIGN_TOLERANCE = 2;
+
+// Cells further apart than this many text heights are in different columns
+const CELL_GAP = 6;
+
+/**
+ * Split the city, state and ZIP off the end of a line
+ * When other text comes first without a comma ("123 MAIN ST ITHACA NY 14850"),
+ * the city is guessed by walking back over words that can't be part of a street.
+ * @param {string} line
+ * @returns {{prefix: string, city: string, state: string, zip: string, guessed: boolean}|null}
+ */
+function splitCityStateZip(line) {
+    const match = line.trim().match(CITY_STATE_ZIP);
+    if (!match || !STATES.has(match[1])) return null;
+
+    const before = line.trim().slice(0, match.index).trim().replace(/,$/, '');
+    const lastComma = before.lastIndexOf(',');
+    if (lastComma >= 0) {
+        return { prefix: before.slice(0, lastComma).trim(), city: before.slice(lastComma + 1).trim(), state: match[1], zip: match[2], guessed: false };
+    }
+
+    const words = before.split(/\s+/).filter(Boolean);
+    const cityWords = [];
+    while (words.length > 0 && cityWords.length < 3) {
+        const word = words[words.length - 1];
+        const bare = word.toUpperCase().replace(/\.$/, '');
+        if (/[\d#]/.test(word) || STREET_SUFFIXES.has(bare) || UNIT_DESIGNATORS.includes(bare)) break;
+        cityWords.unshift(words.pop());
+    }
+    if (cityWords.length === 0) return null;
+
+    return { prefix: words.join(' '), city: cityWords.join(' '), state: match[1], zip: match[2], guessed: words.length > 0 };
+}
+
+/**
+ * Split a leading name off a line that runs on into the street or PO box
+ * @param {string} line - e.g. "JOHN SMITH 123 MAIN ST APT 2"
+ * @returns {Array<string>} One or two lines
+ */
+function splitLeadingName(line) {
+    const match = line.match(/^(.*?[A-Za-z.'])\s+(\d+[A-Z]?\s+.*|(?:P\.?\s*O\.?|POST\s+OFFICE)\s*BOX\b.*)$/i);
+    if (match && NAME.test(match[1])) return [match[1], match[2]];
+    return [line];
+}
+
+/**
+ * Format a unit designator consistently
+ * @param {Array<string>} match - UNIT match
+ * @returns {string} e.g. "APT 2B" or "#4"
+ */
+function formatUnit(match) {
+    return match[1] === '#' ? `#${match[2]}` : `${match[1].toUpperCase()} ${match[2]}`;
+}
+
+/**
+ * Parse the name and street lines of an address, top to bottom
+ * @param {Array<string>} lines - Lines above the city line
+ * @returns {Object|null} {name, careOf, street, unit, poBox}, or null if the
+ *     lines don't read as an address or have neither a street nor a PO box
+ */
+function parseStreetLines(lines) {
+    const address = {
+        name: null,
+        careOf: null,
+        street: null,
+        unit: null,
+        poBox: null
+    };
+
+    const names = [];
+    for (const rawLine of lines.flatMap(splitLeadingName)) {
+        let line = rawLine.trim().replace(/,$/, '');
+        if (!line) continue;
+
+        const poBox = line.match(PO_BOX);
+        if (CARE_OF.test(line)) {
+            address.careOf = line.replace(CARE_OF, '');
+        } else if (poBox) {
+            address.poBox = `PO BOX ${poBox[1]}`;
+        } else if (STREET.test(line)) {
+            const unit = line.match(UNIT);
+            if (unit && unit.index > 0) {
+                address.unit = formatUnit(unit);
+                line = line.slice(0, unit.index).trim();
+            }
+            address.street = line;
+        } else if (UNIT.test(line) && line.match(UNIT).index === 0) {
+            address.unit = formatUnit(line.match(UNIT));
+        } else if (NAME.test(line) && address.street === null && address.poBox === null) {
+            names.push(line);
+        } else {
+            return null;
+        }
+    }
+
+    if (address.street === null && address.poBox === null) return null;
+    address.name = names.length > 0 ? names.join(' & ') : null;
+    return address;
+}
+
+/**
+ * Parse the lines of an address block, top to bottom
+ * @param {Array<string>} lines - Block lines, the last ending in city/state/ZIP
+ * @returns {Object|null} {name, careOf, street, unit, poBox, city, state, zip, guessed},
+ *     or null if the lines don't read as an address
+ */
+function parseAddressBlock(lines) {
+    const cityLine = splitCityStateZip(lines[lines.length - 1]);
+    if (!cityLine) return null;
+
+    const streetLines = lines.slice(0, -1);
+    if (cityLine.prefix) streetLines.push(cityLine.prefix);
+    const address = parseStreetLines(streetLines);
+    if (!address) return null;
+
+    return {
+        ...address,
+        city: cityLine.city,
+        state: cityLine.state,
+        zip: cityLine.zip,
+        guessed: cityLine.guessed
+    };
+}
+
+/**
+ * Strip an address label off the start of a cell
+ * @param {string} text
+ * @returns {{kind: string, rest: string}|null}
+ */
+function matchLabel(text) {
+    for (const [kind, pattern] of Object.entries(LABELS)) {
+        const match = text.match(pattern);
+        if (match) return { kind, rest: text.slice(match[0].length).trim() };
+    }
+    return null;
+}
+
+/**
+ * Text height of a layout cell
+ * @param {Object} cell
+ * @returns {number}
+ */
+function cellHeight(cell) {
+    return Math.max(cell.runs[0]?.height ?? 1, 1);
+}
+
+/**
+ * Collect the lines of the block anchored on a city line
+ * @param {Object} layout - Layout from buildTextLayout
+ * @param {number} rowIndex - Row holding the city line
+ * @param {number} cellIndex - Cell holding the city line
+ * @returns {{lines: Array<string>, label: string|null}}
+ */
+function collectBlock(layout, rowIndex, cellIndex) {
+    const row = layout.rows[rowIndex];
+    const lines = [];
+    let label = null;
+
+    // Add a line to the top of the block; false once a label closes the block
+    const addLine = text => {
+        const match = matchLabel(text);
+        if (match) {
+            if (match.rest) lines.unshift(match.rest);
+            label = match.kind;
+            return false;
+        }
+        lines.unshift(text);
+        return true;
+    };
+    const isNameLine = text => splitLeadingName(text).some(line => NAME.test(line));
+
+    // The city line, then nearby cells to its left for one-line addresses
+    let left = row.cells[cellIndex];
+    if (!addLine(left.text)) return { lines, label };
+    for (let i = cellIndex - 1; i >= 0; i--) {
+        const cell = row.cells[i];
+        if (left.x - cell.right > CELL_GAP * cellHeight(cell) || splitCityStateZip(cell.text)) break;
+        if (!addLine(cell.text)) return { lines, label };
+        left = cell;
+    }
+    if (lines.some(isNameLine)) return { lines, label };
+
+    // Aligned rows above, until a gap, a label, the name, or something that isn't an address line
+    const height = cellHeight(left);
+    for (let i = rowIndex - 1; i >= 0 && rowIndex - i <= MAX_BLOCK_LINES; i--) {
+        const above = layout.rows[i];
+        if (above.page !== row.page || layout.rows[i + 1].y - above.y > LINE_SPACING * height) break;
+
+        const alignedIndex = above.cells.findIndex(cell => Math.abs(cell.x - left.x) <= ALIGN_TOLERANCE * height);
+        if (alignedIndex < 0) break;
+        const aligned = above.cells[alignedIndex];
+
+        // A label just before the aligned cell: "Service Address:   45 OAK AVE"
+        const before = above.cells[alignedIndex - 1];
+        const beforeLabel = before && aligned.x - before.right <= CELL_GAP * height ? matchLabel(before.text) : null;
+        if (beforeLabel && !beforeLabel.rest) {
+            lines.unshift(aligned.text);
+            return { lines, label: beforeLabel.kind };
+        }
+
+        if (!matchLabel(aligned.text) && !isNameLine(aligned.text) && !STREET.test(aligned.text) &&
+            !PO_BOX.test(aligned.text) && !UNIT.test(aligned.text) && !CARE_OF.test(aligned.text)) break;
+        if (!addLine(aligned.text) || isNameLine(aligned.text)) break;
+    }
+
+    return { lines, label };
+}
+
+/**
+ * Find every address block on the bill
+ * Lines that don't read as part of an address are dropped from the top of the
+ * block until it parses.
+ * @param {Object} layout - Layout from buildTextLayout
+ * @returns {Array<{page: number, y: number, label: string|null, address: Object}>} In page order
+ */
+function findAddressBlocks(layout) {
+    const blocks = [];
+    layout.rows.forEach((row, rowIndex) => {
+        row.cells.forEach((cell, cellIndex) => {
+            if (!splitCityStateZip(cell.text)) return;
+
+            const { lines, label } = collectBlock(layout, rowIndex, cellIndex);
+            for (let start = 0; start < lines.length; start++) {
+                const address = parseAddressBlock(lines.slice(start));
+                if (address) {
+                    blocks.push({ page: row.page, y: row.y, label, address });
+                    break;
+                }
+            }
+        });
+    });
+    return blocks;
+}
+
+/**
+ * Find a labeled service address printed without a city line
+ * e.g. "Service Address: 123 MAIN ST APT 2"
+ * @param {Object} layout - Layout from buildTextLayout
+ * @returns {Object|null} Address with only the street part filled in
+ */
+function findLabeledStreet(layout) {
+    for (const row of layout.rows) {
+        for (const [index, cell] of row.cells.entries()) {
+            const label = matchLabel(cell.text);
+            if (label?.kind !== 'service') continue;
+
+            const rest = label.rest || row.cells[index + 1]?.text || '';
+            const address = parseStreetLines([rest]);
+            if (address?.street) {
+                return { ...address, city: null, state: null, zip: null, guessed: false };
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Same address, ignoring the name
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+function sameAddress(a, b) {
+    return formatAddress({ ...a, name: null }) === formatAddress({ ...b, name: null });
+}
+
+/**
+ * Format an address on one line
+ * @param {Object|null} address - Parsed address
+ * @returns {string} e.g. "123 MAIN ST APT 2B, ITHACA, NY 14850", or '' for no address
+ */
+export function formatAddress(address) {
+    if (!address) return '';
+    const street = [address.street, address.unit].filter(Boolean).join(' ');
+    const cityLine = address.city ? `${address.city}, ${address.state} ${address.zip}` : '';
+    return [street, address.poBox, cityLine].filter(Boolean).join(', ');
+}
+
+/**
+ * Find the mailing and service addresses on a bill
+ * The mailing address is the block labeled as such, or else the first
+ * unlabeled block with a name on it (the envelope window block). The service
+ * address is the block labeled as a service location; bills that don't print
+ * one are taken to be for the mailing address.
+ * @param {Object} layout - Layout from buildTextLayout
+ * @param {RegExp} [exclude] - Names that mark the utility's own address (e.g. its payment address)
+ * @returns {{mailing: Object|null, service: Object|null, uncertain: Object}} Parsed
+ *     addresses, and why any field is a guess, keyed by field
+ *     ('customerName', 'mailingAddress', 'serviceAddress')
+ */
+export function parseAddresses(layout, exclude = null) {
+    const uncertain = {};
+    const blocks = findAddressBlocks(layout).filter(block =>
+        block.label !== 'remit' && !(exclude && [block.address.name, block.address.careOf].some(text => text && exclude.test(text)))
+    );
+
+    // Mailing address
+    let mailingBlock = blocks.find(block => block.label === 'mailing');
+    if (!mailingBlock && blocks.some(block => block.label === null && block.address.name)) {
+        const candidates = blocks.filter(block => block.label === null && block.address.name);
+        mailingBlock = candidates[0];
+        const others = candidates.filter(block => !sameAddress(block.address, mailingBlock.address));
+        if (others.length > 0) {
+            uncertain.mailingAddress = `${others.length + 1} unlabeled address blocks; used the first`;
+            uncertain.customerName = uncertain.mailingAddress;
+        }
+    }
+    const mailing = mailingBlock?.address ?? null;
+
+    // Service address
+    let service = blocks.find(block => block.label === 'service')?.address ?? findLabeledStreet(layout);
+    if (!service && mailing) {
+        service = mailing;
+        uncertain.serviceAddress = 'No service address printed; assumed to be the mailing address';
+    }
+
+    if (!mailing?.name && !service?.name) {
+        uncertain.customerName = 'No name found above an address';
+    }
+    for (const [field, address] of [['mailingAddress', mailing], ['serviceAddress', service]]) {
+        if (address?.guessed && !uncertain[field]) {
+            uncertain[field] = 'Printed on one line; the city was told apart from the street by guesswork';
+        }
+    }
+
+    return { mailing, service, uncertain };
+}
@@ -3,41 +3,73 @@
  */
 
 import { processMultiplePDFs } from './pdf-parser.js';
-import { extractBillData, extractAccountInfo, formatDate, formatCurrency, formatRate } from './nyseg-extractor.js';
-import { initCharts, updateCharts, clearCharts, highlightDataPoint, getCharts } from './charts.js';
+import { formatDate, formatCurrency, formatRate } from './format.js';
+import { extractBill, getExtractors } from './extractor-registry.js';
+import { initCharts, updateCharts, clearCharts, highlightDataPoint, getCharts, getBillIndex, setBreakdownDetail, setTaxDetail, setRateSteps } from './charts.js';
 import { downloadCSV } from './csv-export.js';
+import { validateBill, confidenceLevel } from './bill-validator.js';
+import { applyTrueUps } from './true-up.js';
+import { applyFlatRateComparison } from './time-of-use.js';
+import { COMBINED, accountKey, groupByAccount, accountLabel } from './accounts.js';
+import { provenanceEntries, sourceSpans } from './provenance.js';
+import { creditTotal, grossCharges, netCost, describePrograms } from './credits.js';
+import { describeClassMix, formatServiceClass } from './service-class.js';
+import { parseCorrection, correctField, revertField } from './corrections.js';
+import { servicePeriodFor, sharesBillPeriod, getField, COMMODITY_LABELS, COMMODITY_TAGS, SECTION_LABELS } from './bill-schema.js';
 
 // Application state
 const state = {
     bills: [],
     errors: [],
-    accountInfo: {
-        accountNumber: '',
-        customerName: '',
-        serviceAddress: ''
-    }
+    // Account key shown on the dashboard, or COMBINED for every account
+    selectedAccount: COMBINED
 };
 
 // DOM elements
 const dropZone = document.getElementById('drop-zone');
+const supportedUtilitiesEl = document.getElementById('supported-utilities');
 const fileInput = document.getElementById('file-input');
 const processingStatus = document.getElementById('processing-status');
 const resultsSection = document.getElementById('results-section');
 const errorSection = document.getElementById('error-section');
 const errorList = document.getElementById('error-list');
 const tableBody = document.getElementById('table-body');
+const paymentTableBody = document.getElementById('payment-table-body');
 const exportBtn = document.getElementById('export-csv-btn');
 const uploadMoreBtn = document.getElementById('upload-more-btn');
 const clearBtn = document.getElementById('clear-data-btn');
+const accountSelect = document.getElementById('account-select');
 const accountNumberEl = document.getElementById('account-number');
 const customerNameEl = document.getElementById('customer-name');
 const serviceAddressEl = document.getElementById('service-address');
+const mailingAddressEl = document.getElementById('mailing-address');
 const billsLoadedEl = document.getElementById('bills-loaded');
 const dateRangeEl = document.getElementById('date-range');
 const totalSpentEl = document.getElementById('total-spent');
+const totalPaidEl = document.getElementById('total-paid');
+const classWarningEl = document.getElementById('class-warning');
+const totalGrossEl = document.getElementById('total-gross');
+const totalCreditsEl = document.getElementById('total-credits');
+const totalNetEl = document.getElementById('total-net');
 const privacyNoticeTop = document.getElementById('privacy-notice-top');
 const uploadSection = document.getElementById('upload-section');
+const electricBreakdownDetail = document.getElementById('electric-breakdown-detail');
+const gasBreakdownDetail = document.getElementById('gas-breakdown-detail');
+const markupTaxDetail = document.getElementById('markup-tax-detail');
+const electricRateSteps = document.getElementById('electric-rate-steps');
+const gasRateSteps = document.getElementById('gas-rate-steps');
 const header = document.querySelector('header');
+const passwordDialog = document.getElementById('password-dialog');
+const passwordForm = document.getElementById('password-form');
+const passwordMessage = document.getElementById('password-message');
+const passwordInput = document.getElementById('password-input');
+const passwordReuse = document.getElementById('password-reuse');
+const passwordSkipBtn = document.getElementById('password-skip-btn');
+const inspectorDialog = document.getElementById('inspector-dialog');
+const inspectorTitle = document.getElementById('inspector-title');
+const inspectorFieldsBody = document.getElementById('inspector-fields-body');
+const inspectorText = document.getElementById('inspector-text');
+const inspectorCloseBtn = document.getElementById('inspector-close-btn');
 
 /**
  * Initialize the application
@@ -49,6 +81,9 @@ function init() {
     // Render KaTeX formulas
     renderFormulas();
 
+    // Name the utilities whose bills can be read
+    supportedUtilitiesEl.textContent = getExtractors().map(extractor => extractor.name).join(' or ');
+
     // Set up chart hover callbacks for synchronized highlighting
     setupChartHoverSync();
 
@@ -90,7 +125,7 @@ function setupChartHoverSync() {
         // Handle hover on chart points
         chart.options.onHover = (event, elements) => {
             if (elements.length > 0) {
-                const index = elements[0].index;
+                const index = getBillIndex(chart, elements[0]);
 
                 // Only update if index changed
                 if (index !== lastChartHighlightIndex) {
@@ -169,9 +204,18 @@ function setupFileInput() {
  */
 function setupButtons() {
     exportBtn.addEventListener('click', () => {
-        if (state.bills.length > 0) {
+        const bills = visibleBills();
+        if (bills.length > 0) {
             const dateStr = new Date().toISOString().split('T')[0];
-            downloadCSV(state.bills, `nyseg-bills-${dateStr}`, state.accountInfo);
+            const group = selectedGroup();
+            if (group) {
+                // One account: its details in the header
+                const suffix = groupByAccount(state.bills).length > 1 ? `-${group.account?.accountNumber || 'unknown-account'}` : '';
+                downloadCSV(bills, `nyseg-bills${suffix}-${dateStr}`, group.account ?? {});
+            } else {
+                // Every account, with a column saying which one each bill is for
+                downloadCSV(bills, `nyseg-bills-all-accounts-${dateStr}`, {}, { accountColumn: true });
+            }
         }
     });
 
@@ -179,10 +223,40 @@ function setupButtons() {
         fileInput.click();
     });
 
+    electricBreakdownDetail.addEventListener('change', () => {
+        setBreakdownDetail('electricity', electricBreakdownDetail.checked);
+    });
+
+    gasBreakdownDetail.addEventListener('change', () => {
+        setBreakdownDetail('gas', gasBreakdownDetail.checked);
+    });
+
+    markupTaxDetail.addEventListener('change', () => {
+        setTaxDetail(markupTaxDetail.checked);
+    });
+
+    electricRateSteps.addEventListener('change', () => {
+        setRateSteps('electricity', electricRateSteps.checked);
+    });
+
+    gasRateSteps.addEventListener('change', () => {
+        setRateSteps('gas', gasRateSteps.checked);
+    });
+
+    inspectorCloseBtn.addEventListener('click', () => {
+        inspectorDialog.close();
+    });
+
+    accountSelect.addEventListener('change', () => {
+        state.selectedAccount = accountSelect.value;
+        updateUI();
+        updateCharts(visibleBills());
+    });
+
     clearBtn.addEventListener('click', () => {
         state.bills = [];
         state.errors = [];
-        state.accountInfo = { accountNumber: '', customerName: '', serviceAddress: '' };
+        state.selectedAccount = COMBINED;
         updateUI();
         clearCharts();
         resultsSection.classList.add('hidden');
@@ -207,7 +281,7 @@ async function processFiles(files) {
         // Extract text from PDFs
         const results = await processMultiplePDFs(files, (current, total, name) => {
             processingStatus.querySelector('span').textContent = `Processing ${current}/${total}: ${name}`;
-        });
+        }, promptForPassword);
 
         // Process each result
         for (const result of results) {
@@ -218,20 +292,16 @@ async function processFiles(files) {
                 });
             } else {
                 try {
-                    const billData = extractBillData(result.text, result.file.name);
-
-                    // Extract account info if not already set
-                    if (!state.accountInfo.accountNumber) {
-                        const accountInfo = extractAccountInfo(result.text);
-                        if (accountInfo.accountNumber) {
-                            state.accountInfo = accountInfo;
-                        }
-                    }
+                    // Use the extractor for whichever utility issued the bill
+                    const { bill: billData } = extractBill(result.text, result.file.name, result.layout);
+                    billData.ocr = result.ocr;
+                    billData.validation = validateBill(billData);
 
-                    // Check if we already have this bill (by statement date)
+                    // Check if we already have this bill (by account and statement date)
                     const existingIndex = state.bills.findIndex(b =>
                         b.statementDate && billData.statementDate &&
-                        b.statementDate.getTime() === billData.statementDate.getTime()
+                        b.statementDate.getTime() === billData.statementDate.getTime() &&
+                        accountKey(b) === accountKey(billData)
                     );
 
                     if (existingIndex >= 0) {
@@ -255,9 +325,17 @@ async function processFiles(files) {
             return a.statementDate - b.statementDate;
         });
 
+        const groups = groupByAccount(state.bills);
+        applyAccountHistory(groups);
+
+        // Show the only account on its own, or every account once there are several
+        if (!groups.some(group => group.key === state.selectedAccount)) {
+            state.selectedAccount = groups.length === 1 ? groups[0].key : COMBINED;
+        }
+
         // Update UI
         updateUI();
-        updateCharts(state.bills);
+        updateCharts(visibleBills());
 
         // Show results
         if (state.bills.length > 0) {
@@ -287,21 +365,104 @@ async function processFiles(files) {
     }
 }
 
+/**
+ * Work out the figures that depend on an account's other bills
+ * Each account's bills are a separate history.
+ * @param {Array} groups - Groups from groupByAccount
+ */
+function applyAccountHistory(groups) {
+    for (const group of groups) {
+        // Spread usage over runs of estimated reads that an actual read has settled
+        applyTrueUps(group.bills);
+
+        // Price time-of-use bills at the flat rate for comparison
+        applyFlatRateComparison(group.bills);
+    }
+}
+
+/**
+ * The account group shown on the dashboard
+ * @returns {Object|null} Group from groupByAccount, or null in the combined view
+ */
+function selectedGroup() {
+    if (state.selectedAccount === COMBINED) return null;
+    return groupByAccount(state.bills).find(group => group.key === state.selectedAccount) ?? null;
+}
+
+/**
+ * Bills shown on the dashboard: the selected account's, or all of them
+ * @returns {Array} Bills sorted by statement date
+ */
+function visibleBills() {
+    return selectedGroup()?.bills ?? state.bills;
+}
+
+/**
+ * Fill the account switcher, hiding it when there's only one account
+ * @param {Array} groups - Groups from groupByAccount
+ */
+function renderAccountSelect(groups) {
+    accountSelect.innerHTML = [
+        `<option value="${COMBINED}">All accounts (${groups.length})</option>`,
+        ...groups.map(group => `<option value="${escapeHTML(group.key)}">${escapeHTML(accountLabel(group.account))}</option>`)
+    ].join('');
+    accountSelect.value = state.selectedAccount;
+    accountSelect.classList.toggle('hidden', groups.length < 2);
+}
+
+/**
+ * Show an account field, marked with the reason when the extractor wasn't sure of it
+ * @param {HTMLElement} el - Value element
+ * @param {Object} account - Account info
+ * @param {string} field - Account info field
+ */
+function renderAccountField(el, account, field) {
+    const reason = account.uncertain?.[field];
+    el.textContent = account[field] || '-';
+    el.classList.toggle('uncertain', !!reason);
+    el.title = reason ? `Unsure: ${reason}` : '';
+}
+
+/**
+ * Summarize several accounts for the account info bar
+ * @param {Array} groups - Groups from groupByAccount
+ * @returns {Object} Account info listing how many accounts, names and addresses there are
+ */
+function combinedAccountInfo(groups) {
+    const distinct = field => [...new Set(groups.map(group => group.account?.[field]).filter(Boolean))];
+    const names = distinct('customerName');
+    const summarize = (values, noun) => values.length > 1 ? `${values.length} ${noun}` : (values[0] ?? '');
+    return {
+        accountNumber: `${groups.length} accounts`,
+        customerName: names.join(', '),
+        serviceAddress: summarize(distinct('serviceAddress'), 'service addresses'),
+        mailingAddress: summarize(distinct('mailingAddress'), 'mailing addresses'),
+        uncertain: {}
+    };
+}
+
 /**
  * Update the UI with current state
  */
 function updateUI() {
+    const groups = groupByAccount(state.bills);
+    const bills = visibleBills();
+    renderAccountSelect(groups);
+
     // Update account info
-    accountNumberEl.textContent = state.accountInfo.accountNumber || '-';
-    customerNameEl.textContent = state.accountInfo.customerName || '-';
-    serviceAddressEl.textContent = state.accountInfo.serviceAddress || '-';
+    const group = selectedGroup();
+    const account = group ? (group.account ?? {}) : groups.length > 1 ? combinedAccountInfo(groups) : (groups[0]?.account ?? {});
+    accountNumberEl.textContent = account.accountNumber || '-';
+    renderAccountField(customerNameEl, account, 'customerName');
+    renderAccountField(serviceAddressEl, account, 'serviceAddress');
+    renderAccountField(mailingAddressEl, account, 'mailingAddress');
 
     // Update bills loaded count
-    billsLoadedEl.textContent = state.bills.length;
+    billsLoadedEl.textContent = bills.length;
 
     // Update date range
-    if (state.bills.length > 0) {
-        const sortedBills = [...state.bills].sort((a, b) => {
+    if (bills.length > 0) {
+        const sortedBills = [...bills].sort((a, b) => {
             if (!a.statementDate || !b.statementDate) return 0;
             return a.statementDate - b.statementDate;
         });
@@ -317,25 +478,86 @@ function updateUI() {
         dateRangeEl.textContent = '-';
     }
 
-    // Update total spent
-    if (state.bills.length > 0) {
-        const total = state.bills.reduce((sum, b) => sum + b.totalEnergyCharges, 0);
-        totalSpentEl.textContent = formatCurrency(total);
+    // Update totals: consumed is the actual charges, paid swaps in the
+    // installment for budget-billed periods
+    if (bills.length > 0) {
+        const consumed = bills.reduce((sum, b) => sum + (b.totalEnergyCharges ?? 0), 0);
+        const paid = bills.reduce((sum, b) =>
+            sum + (b.budgetBilling?.installment ?? b.totalEnergyCharges ?? 0), 0);
+        totalSpentEl.textContent = formatCurrency(consumed);
+        totalPaidEl.textContent = formatCurrency(paid);
+        totalGrossEl.textContent = formatCurrency(bills.reduce((sum, b) => sum + (grossCharges(b) ?? 0), 0));
+        totalCreditsEl.textContent = formatCurrency(bills.reduce((sum, b) => sum + (creditTotal(b) ?? 0), 0));
+        totalNetEl.textContent = formatCurrency(bills.reduce((sum, b) => sum + (netCost(b) ?? 0), 0));
     } else {
-        totalSpentEl.textContent = '-';
+        for (const el of [totalSpentEl, totalPaidEl, totalGrossEl, totalCreditsEl, totalNetEl]) {
+            el.textContent = '-';
+        }
     }
 
-    // Render table
-    renderTable();
+    // Warn when rates from different service classes would be compared
+    const classMix = describeClassMix(bills);
+    classWarningEl.textContent = classMix
+        ? `${classMix}. Rates differ between classes, so compare bills within one class; dashed lines on the charts mark where the class changes.`
+        : '';
+    classWarningEl.classList.toggle('hidden', !classMix);
+
+    // Render tables, tagging each bill with its account in the combined view
+    const showAccount = group === null && groups.length > 1;
+    renderTable(bills, showAccount);
+    renderPaymentTable(bills, showAccount);
+}
+
+/**
+ * Ask for the password of an encrypted PDF
+ * The password only lives in the returned object; the input is cleared as
+ * soon as the dialog closes.
+ * @param {string} fileName - File being opened
+ * @param {boolean} incorrect - Whether the last password was wrong
+ * @returns {Promise<{password: string, reuse: boolean}|null>} null if the user skips the file
+ */
+function promptForPassword(fileName, incorrect) {
+    passwordMessage.textContent = incorrect
+        ? `Incorrect password for ${fileName}. Try again:`
+        : `${fileName} is password protected. Enter its password:`;
+    passwordInput.value = '';
+    passwordReuse.checked = false;
+
+    return new Promise(resolve => {
+        const finish = (answer) => {
+            passwordForm.removeEventListener('submit', onSubmit);
+            passwordSkipBtn.removeEventListener('click', onSkip);
+            passwordDialog.removeEventListener('cancel', onSkip);
+            passwordInput.value = '';
+            if (passwordDialog.open) passwordDialog.close();
+            resolve(answer);
+        };
+        const onSubmit = (e) => {
+            e.preventDefault();
+            finish({ password: passwordInput.value, reuse: passwordReuse.checked });
+        };
+        const onSkip = (e) => {
+            e.preventDefault();
+            finish(null);
+        };
+
+        passwordForm.addEventListener('submit', onSubmit);
+        passwordSkipBtn.addEventListener('click', onSkip);
+        passwordDialog.addEventListener('cancel', onSkip);
+        passwordDialog.showModal();
+        passwordInput.focus();
+    });
 }
 
 /**
  * Render the data table
+ * @param {Array} bills - Bills to show, sorted by statement date
+ * @param {boolean} showAccount - Tag each bill with its account
  */
-function renderTable() {
+function renderTable(bills, showAccount) {
     tableBody.innerHTML = '';
 
-    state.bills.forEach((bill, index) => {
+    bills.forEach((bill, index) => {
         const row = document.createElement('tr');
         row.dataset.index = index;
 
@@ -343,24 +565,52 @@ function renderTable() {
             ? `${formatDate(bill.servicePeriod.start)} - ${formatDate(bill.servicePeriod.end)}`
             : 'N/A';
 
-        const tempDisplay = bill.averageDailyTemp !== null ? `${bill.averageDailyTemp}°F` : '-';
+        const tempDisplay = markCorrection(bill, 'averageDailyTemp',
+            bill.averageDailyTemp !== null ? `${bill.averageDailyTemp}°F` : '-', v => `${v}°F`);
 
         row.innerHTML = `
-            <td>${formatDate(bill.statementDate)}</td>
-            <td>${servicePeriod}</td>
-            <td>${bill.servicePeriod.days}</td>
-            <td>${tempDisplay}</td>
-            <td>${bill.electricity.usage.toLocaleString()}</td>
-            <td>${formatRate(bill.electricity.deliveryRate)}</td>
-            <td>${formatRate(bill.electricity.supplyRate)}</td>
-            <td>${formatCurrency(bill.electricity.totalCost)}</td>
-            <td>${bill.gas.usageTherms.toFixed(1)}</td>
-            <td>${formatRate(bill.gas.deliveryRate)}</td>
-            <td>${formatRate(bill.gas.supplyRate)}</td>
-            <td>${formatCurrency(bill.gas.totalCost)}</td>
-            <td><strong>${formatCurrency(bill.totalEnergyCharges)}</strong></td>
+            <td>${formatDate(bill.statementDate)}${showAccount ? renderAccountTag(bill.account) : ''}</td>
+            <td title="${escapeHTML(bill.layout?.label ?? '')}">${escapeHTML(bill.utility?.name ?? '-')}${renderServiceClassTag(bill)}</td>
+            <td>${servicePeriod}${renderServicePeriodTags(bill)}</td>
+            <td data-path="servicePeriod.days">${formatField(bill, 'servicePeriod.days', v => v)}</td>
+            <td data-path="averageDailyTemp">${tempDisplay}</td>
+            <td data-path="electricity.usage">${formatField(bill, 'electricity.usage', v => v.toLocaleString())}${renderReadFlag(bill.electricity, 'kWh')}${renderTimeOfUseTag(bill.electricity.timeOfUse)}${renderNetMeteringTag(bill.electricity.netMetering)}</td>
+            <td data-path="electricity.deliveryRate">${formatField(bill, 'electricity.deliveryRate', formatRate)}</td>
+            <td data-path="electricity.supplyRate">${formatField(bill, 'electricity.supplyRate', formatRate)}${renderSupplierTag(bill.electricity.supplier)}</td>
+            <td data-path="electricity.totalCost">${formatField(bill, 'electricity.totalCost', formatCurrency)}</td>
+            <td data-path="gas.usageTherms">${formatField(bill, 'gas.usageTherms', v => v.toFixed(1))}${renderReadFlag(bill.gas, 'therms')}${renderDerivedThermsTag(bill)}</td>
+            <td data-path="gas.deliveryRate">${formatField(bill, 'gas.deliveryRate', formatRate)}</td>
+            <td data-path="gas.supplyRate">${formatField(bill, 'gas.supplyRate', formatRate)}${renderSupplierTag(bill.gas.supplier)}</td>
+            <td data-path="gas.totalCost">${formatField(bill, 'gas.totalCost', formatCurrency)}</td>
+            <td data-path="totalEnergyCharges"><strong>${formatField(bill, 'totalEnergyCharges', formatCurrency)}</strong>${renderCreditsTag(bill)}</td>
+            <td><button type="button" class="line-items-btn" aria-expanded="false">${bill.lineItems.length}</button></td>
+            <td>${renderConfidenceBadge(bill.validation)}</td>
+            <td><button type="button" class="inspect-btn" title="Show where each field was read from">Inspect</button></td>
         `;
 
+        row.querySelector('.inspect-btn').addEventListener('click', () => {
+            openInspector(bill);
+        });
+
+        // Click a value to correct it
+        for (const cell of row.querySelectorAll('td[data-path]')) {
+            cell.classList.add('editable');
+            cell.title = 'Click to correct this value';
+            cell.addEventListener('click', () => startCorrection(cell, bill, cell.dataset.path));
+        }
+
+        // Toggle a detail row listing every charge on the bill
+        const lineItemsBtn = row.querySelector('.line-items-btn');
+        lineItemsBtn.addEventListener('click', () => {
+            const expanded = lineItemsBtn.getAttribute('aria-expanded') === 'true';
+            lineItemsBtn.setAttribute('aria-expanded', !expanded);
+            if (expanded) {
+                row.nextElementSibling?.remove();
+            } else {
+                row.after(renderLineItemsRow(bill, row.children.length));
+            }
+        });
+
         // Add hover events for synchronized highlighting
         row.addEventListener('mouseenter', () => {
             highlightDataPoint(index);
@@ -376,6 +626,424 @@ function renderTable() {
     });
 }
 
+/**
+ * Swap a table cell for an input to correct its value
+ * Enter or leaving the cell saves, Escape cancels, and saving an empty cell
+ * restores the parsed value.
+ * @param {HTMLTableCellElement} cell - Cell showing the field
+ * @param {Object} bill - Bill the row shows
+ * @param {string} path - Field path the cell shows
+ */
+function startCorrection(cell, bill, path) {
+    if (cell.querySelector('input')) return;
+
+    const value = getField(bill, path);
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.inputMode = 'decimal';
+    input.className = 'correction-input';
+    input.value = value !== null ? String(Math.round(value * 1e8) / 1e8) : '';
+    input.setAttribute('aria-label', `Correct ${path}`);
+    cell.replaceChildren(input);
+    input.focus();
+    input.select();
+
+    let finished = false;
+    const finish = (save) => {
+        if (finished) return;
+
+        if (save) {
+            const text = input.value.trim();
+            const corrected = parseCorrection(text);
+            if (text && corrected === null) {
+                input.classList.add('invalid');
+                input.focus();
+                return;
+            }
+            finished = true;
+            if (corrected === null) {
+                revertField(bill, path);
+            } else {
+                correctField(bill, path, corrected);
+            }
+            applyCorrections(bill);
+        } else {
+            finished = true;
+            updateUI();
+        }
+    };
+
+    input.addEventListener('input', () => input.classList.remove('invalid'));
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') finish(true);
+        if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => {
+        // An invalid entry is dropped rather than trapping focus in the cell
+        if (input.classList.contains('invalid')) {
+            finish(false);
+        } else {
+            finish(true);
+        }
+    });
+}
+
+/**
+ * Recompute everything that depends on a corrected bill
+ * @param {Object} bill - Bill whose fields were corrected
+ */
+function applyCorrections(bill) {
+    bill.validation = validateBill(bill);
+    applyAccountHistory(groupByAccount(state.bills));
+    updateUI();
+    updateCharts(visibleBills());
+}
+
+/**
+ * Render the account activity table for the payment timeline
+ * @param {Array} bills - Bills to show, sorted by statement date
+ * @param {boolean} showAccount - Tag each bill with its account
+ */
+function renderPaymentTable(bills, showAccount) {
+    paymentTableBody.innerHTML = '';
+
+    for (const bill of bills) {
+        // Extractors that don't read the account summary leave it null
+        const activity = bill.accountActivity;
+        const activityField = (path, formatter) => activity ? formatField(bill, path, formatter) : '-';
+        const row = document.createElement('tr');
+        const paidOn = (activity?.payments ?? [])
+            .map(p => p.date ? formatDate(p.date) : 'date not shown')
+            .join(', ');
+        const adjustments = activity?.adjustments ?? null;
+        const lateFees = activity?.latePaymentCharges ?? null;
+
+        row.innerHTML = `
+            <td>${formatDate(bill.statementDate)}${showAccount ? renderAccountTag(bill.account) : ''}</td>
+            <td>${activityField('accountActivity.dueDate', formatDate)}</td>
+            <td>${activityField('accountActivity.previousBalance', formatCurrency)}</td>
+            <td>${activityField('accountActivity.paymentsTotal', formatCurrency)}</td>
+            <td>${paidOn || '-'}</td>
+            <td>${adjustments !== null ? formatCurrency(adjustments) : '-'}</td>
+            <td class="${lateFees ? 'late-fee' : ''}">${lateFees !== null ? formatCurrency(lateFees) : '-'}</td>
+            <td>${activityField('accountActivity.balanceForward', formatCurrency)}</td>
+            <td>${formatField(bill, 'amountDue', formatCurrency)}</td>
+        `;
+
+        paymentTableBody.appendChild(row);
+    }
+}
+
+/**
+ * Build the detail row listing a bill's line items
+ * @param {Object} bill - Extracted bill data
+ * @param {number} colSpan - Number of columns in the data table
+ * @returns {HTMLTableRowElement}
+ */
+function renderLineItemsRow(bill, colSpan) {
+    const detailRow = document.createElement('tr');
+    detailRow.className = 'line-items-row';
+
+    const cell = document.createElement('td');
+    cell.colSpan = colSpan;
+
+    if (bill.lineItems.length === 0) {
+        cell.textContent = 'No line items found on this bill.';
+    } else {
+        const rows = bill.lineItems.map(item => `
+            <tr>
+                <td>${COMMODITY_LABELS[item.commodity]} ${SECTION_LABELS[item.section]}</td>
+                <td>${escapeHTML(item.description)}${item.month ? ` - ${escapeHTML(item.month)}` : ''}</td>
+                <td class="num">${item.quantity !== null ? `${item.quantity.toLocaleString()} ${item.unit}` : ''}</td>
+                <td class="num">${item.rate !== null ? formatRate(item.rate) : ''}</td>
+                <td class="num">${formatCurrency(item.amount)}</td>
+            </tr>
+        `).join('');
+
+        cell.innerHTML = `
+            <table class="line-items-table">
+                <thead>
+                    <tr><th>Section</th><th>Description</th><th class="num">Quantity</th><th class="num">Rate</th><th class="num">Amount</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    detailRow.appendChild(cell);
+    return detailRow;
+}
+
+/**
+ * Open the extraction inspector for a bill
+ * Lists every field with the rule that read it, next to the bill's text with
+ * each matched span highlighted and labeled with the fields it filled in.
+ * @param {Object} bill - Extracted bill data
+ */
+function openInspector(bill) {
+    inspectorTitle.textContent = `Extraction Inspector: ${bill.fileName}`;
+
+    // Spans that overlap an earlier one can't be marked in the text; their
+    // fields are still listed
+    const spans = sourceSpans(bill);
+    const marked = new Map();
+    let html = '';
+    let cursor = 0;
+    spans.forEach((span, i) => {
+        if (span.offset < cursor) return;
+
+        const fieldNames = span.fields.map(path => path.split('.').pop()).join(', ');
+        const title = `${span.fields.join(', ')}\nRule: ${span.rule}`;
+        html += escapeHTML(bill.text.slice(cursor, span.offset));
+        html += `<mark id="inspector-span-${i}" title="${escapeHTML(title)}">` +
+            `<span class="inspector-label">${escapeHTML(fieldNames)}</span>` +
+            `${escapeHTML(bill.text.slice(span.offset, span.offset + span.length))}</mark>`;
+        cursor = span.offset + span.length;
+        for (const path of span.fields) marked.set(path, i);
+    });
+    html += escapeHTML(bill.text.slice(cursor));
+    inspectorText.innerHTML = html;
+
+    inspectorFieldsBody.innerHTML = '';
+    for (const [path, entry] of provenanceEntries(bill)) {
+        const row = document.createElement('tr');
+        const where = entry.offset === null
+            ? (entry.snippet ? `Not in page text: ${entry.snippet}` : 'Worked out from other fields')
+            : entry.snippet;
+        const correction = bill.corrections[path];
+        const value = formatInspectorValue(getField(bill, path)) +
+            (correction ? ` (corrected; parsed ${formatInspectorValue(correction.original)})` : '');
+        row.title = where;
+        row.innerHTML = `
+            <td>${escapeHTML(path)}</td>
+            <td>${escapeHTML(value)}</td>
+            <td>${escapeHTML(entry.rule)}</td>
+        `;
+
+        if (marked.has(path)) {
+            row.classList.add('inspector-linked');
+            row.addEventListener('click', () => {
+                const mark = document.getElementById(`inspector-span-${marked.get(path)}`);
+                mark.scrollIntoView({ block: 'center' });
+                inspectorText.querySelector('mark.active')?.classList.remove('active');
+                mark.classList.add('active');
+            });
+        }
+
+        inspectorFieldsBody.appendChild(row);
+    }
+
+    inspectorDialog.showModal();
+}
+
+/**
+ * Format any field value for the inspector's field list
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+function formatInspectorValue(value) {
+    if (value === null || value === undefined) return '-';
+    if (value instanceof Date) return formatDate(value);
+    if (typeof value === 'number') return value.toLocaleString(undefined, { maximumFractionDigits: 6 });
+    if (typeof value === 'object' && 'description' in value) {
+        return `${value.description}${value.month ? ` - ${value.month}` : ''}: ${formatCurrency(value.amount)}`;
+    }
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+/**
+ * Format a bill field for the table
+ * Fields for a service the bill doesn't cover show a dash; fields that
+ * weren't found show a "missing" marker with the reason in its tooltip.
+ * @param {Object} bill - Extracted bill data
+ * @param {string} path - Field path like "electricity.usage"
+ * @param {Function} formatter - Formats a present value
+ * @returns {string} Cell HTML
+ */
+function formatField(bill, path, formatter) {
+    const value = getField(bill, path);
+    if (value !== null && value !== undefined) return markCorrection(bill, path, formatter(value), formatter);
+
+    const commodity = path.split('.')[0];
+    if (commodity in bill.services && !bill.services[commodity]) return '-';
+
+    const reason = bill.missing[path] || 'Not found on bill';
+    return `<span class="missing-value" title="${escapeHTML(reason)}">missing</span>`;
+}
+
+/**
+ * Mark a corrected value, with the parsed value in its tooltip
+ * @param {Object} bill - Extracted bill data
+ * @param {string} path - Field path
+ * @param {string} html - Formatted value
+ * @param {Function} formatter - Formats the parsed value
+ * @returns {string} Cell HTML, unchanged when the field wasn't corrected
+ */
+function markCorrection(bill, path, html, formatter) {
+    const correction = bill.corrections[path];
+    if (!correction) return html;
+
+    const original = correction.original !== null ? formatter(correction.original) : 'missing';
+    const title = `Corrected by hand; parsed value was ${original}. Clear the cell to restore it.`;
+    return `<span class="corrected-value" title="${escapeHTML(title)}">${html}</span>`;
+}
+
+/**
+ * Build the estimated-read flag for a usage cell, with any trued-up usage in its tooltip
+ * @param {Object} commodity - bill.electricity or bill.gas
+ * @param {string} unit - Usage unit for the tooltip
+ * @returns {string} Flag HTML, or '' for actual reads
+ */
+function renderReadFlag(commodity, unit) {
+    const trueUpUsage = commodity.trueUpUsage ?? null;
+    if (!commodity.meter?.estimated && trueUpUsage === null) return '';
+
+    const lines = [];
+    if (commodity.meter?.estimated) lines.push('Estimated meter read');
+    if (trueUpUsage !== null) {
+        lines.push(`Trued-up usage: ${trueUpUsage.toFixed(1)} ${unit}`);
+    }
+    const label = commodity.meter?.estimated ? 'E' : 'T';
+    return ` <span class="read-flag" title="${escapeHTML(lines.join('\n'))}">${label}</span>`;
+}
+
+/**
+ * Build the tag marking therms worked out from CCF
+ * @param {Object} bill - Extracted bill data
+ * @returns {string} Tag HTML, or '' when the bill printed its therms or they were corrected
+ */
+function renderDerivedThermsTag(bill) {
+    const { gas } = bill;
+    if (!gas.thermsDerived || bill.corrections['gas.usageTherms']) return '';
+    const factor = gas.thermsDerived === 'factor'
+        ? `the bill's therm factor of ${gas.thermFactor}`
+        : 'a typical therm factor (no factor printed)';
+    const title = `Therm figure not found; worked out from ${gas.usageCcf} CCF × ${factor}`;
+    return ` <span class="derived-tag" title="${escapeHTML(title)}">CCF</span>`;
+}
+
+/**
+ * Build the service class tag for the utility cell, with each commodity's
+ * class and rate plan in its tooltip
+ * @param {Object} bill - Extracted bill data
+ * @returns {string} Tag HTML, or '' when no class was found
+ */
+function renderServiceClassTag(bill) {
+    const commodities = Object.keys(COMMODITY_LABELS).filter(commodity => bill[commodity].serviceClass);
+    if (commodities.length === 0) return '';
+
+    const lines = commodities.map(commodity => {
+        const { serviceClass, ratePlan } = bill[commodity];
+        return `${COMMODITY_LABELS[commodity]}: ${formatServiceClass(serviceClass)}${ratePlan ? `, ${ratePlan} rate plan` : ''}`;
+    });
+    const codes = [...new Set(commodities.map(commodity => bill[commodity].serviceClass.code))];
+    return ` <span class="class-tag" title="${escapeHTML(lines.join('\n'))}">${escapeHTML(codes.join('/'))}</span>`;
+}
+
+/**
+ * Build the credits tag for the total cell, listing each credit and the net cost
+ * @param {Object} bill - Extracted bill data
+ * @returns {string} Tag HTML, or '' when the bill mentions no credits or programs
+ */
+function renderCreditsTag(bill) {
+    if (!bill.credits) return '';
+    const lines = bill.credits.items.map(item => `${item.description}: ${formatCurrency(item.amount)}`);
+    const programs = describePrograms(bill);
+    if (programs) lines.push(`Programs: ${programs}`);
+    const net = netCost(bill);
+    if (net !== null) lines.push(`Gross ${formatCurrency(grossCharges(bill))}, net ${formatCurrency(net)}`);
+    const credits = creditTotal(bill);
+    const label = credits !== null ? `-${formatCurrency(credits)}` : 'AID';
+    return ` <span class="credit-tag" title="${escapeHTML(lines.join('\n'))}">${label}</span>`;
+}
+
+/**
+ * Build the time-of-use tag for the kWh cell
+ * @param {Object|null} timeOfUse - bill.electricity.timeOfUse
+ * @returns {string} Tag HTML, or '' for flat-rate bills
+ */
+function renderTimeOfUseTag(timeOfUse) {
+    if (!timeOfUse) return '';
+    const title = `On-peak ${timeOfUse.onPeak.usage.toLocaleString()} kWh, off-peak ${timeOfUse.offPeak.usage.toLocaleString()} kWh`;
+    return ` <span class="tou-tag" title="${title}">TOU</span>`;
+}
+
+/**
+ * Build the net metering tag for the kWh cell
+ * @param {Object|null} netMetering - bill.electricity.netMetering
+ * @returns {string} Tag HTML, or '' when the bill isn't net metered
+ */
+function renderNetMeteringTag(netMetering) {
+    if (!netMetering) return '';
+    const parts = [
+        `Delivered ${netMetering.delivered.toLocaleString()} kWh`,
+        `received ${netMetering.received.toLocaleString()} kWh`
+    ];
+    if (netMetering.banked !== null) parts.push(`banked ${netMetering.banked.toLocaleString()} kWh`);
+    if (netMetering.credit !== null) parts.push(`credit ${formatCurrency(netMetering.credit)}`);
+    return ` <span class="net-metering-tag" title="${parts.join(', ')}">NET</span>`;
+}
+
+/**
+ * Build tags for commodities billed over a different period than the bill's
+ * @param {Object} bill - Extracted bill data
+ * @returns {string} Tag HTML, or '' when every service shares the bill's period
+ */
+function renderServicePeriodTags(bill) {
+    return Object.entries(COMMODITY_TAGS).map(([commodity, tag]) => {
+        if (!bill.services[commodity] || sharesBillPeriod(bill, commodity)) return '';
+
+        const period = servicePeriodFor(bill, commodity);
+        const days = period.days !== null ? ` (${period.days} days)` : '';
+        const title = `${COMMODITY_LABELS[commodity]} service ${formatDate(period.start)} - ${formatDate(period.end)}${days}`;
+        return ` <span class="period-tag" title="${escapeHTML(title)}">${tag}</span>`;
+    }).join('');
+}
+
+/**
+ * Build the ESCO tag for a supply rate cell
+ * @param {Object|null} supplier - bill.electricity.supplier or bill.gas.supplier
+ * @returns {string} Tag HTML, or '' when the utility supplies the energy
+ */
+function renderSupplierTag(supplier) {
+    if (supplier?.type !== 'esco') return '';
+    return ` <span class="supplier-tag" title="Supplied by ${escapeHTML(supplier.name)}">ESCO</span>`;
+}
+
+/**
+ * Build the account tag shown on bills in the combined view
+ * @param {Object|null} account - bill.account
+ * @returns {string} Tag HTML with the account number's last digits
+ */
+function renderAccountTag(account) {
+    const number = account?.accountNumber ?? '';
+    const short = number ? `…${number.replace(/\D/g, '').slice(-4)}` : '?';
+    return ` <span class="account-tag" title="${escapeHTML(accountLabel(account))}">${escapeHTML(short)}</span>`;
+}
+
+/**
+ * Build the confidence badge for a bill, listing any validation warnings in its tooltip
+ * @param {{warnings: Array, confidence: number}} validation - Result of validateBill
+ * @returns {string} Badge HTML
+ */
+function renderConfidenceBadge(validation) {
+    const level = confidenceLevel(validation.confidence);
+    const title = validation.warnings.length > 0
+        ? validation.warnings.map(w => w.message).join('\n')
+        : 'All checks passed';
+    return `<span class="confidence-badge ${level}" title="${escapeHTML(title)}">${Math.round(validation.confidence * 100)}%</span>`;
+}
+
+/**
+ * Escape text for insertion into HTML
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeHTML(str) {
+    return str.replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+}
+
 /**
  * Render error list
  */
@@ -397,7 +1065,7 @@ function renderFormulas() {
     const gasEl = document.getElementById('formula-gas');
     if (elecEl && window.katex) {
         katex.render(
-            String.raw`\text{Effective Rate}_{\text{elec}} = \dfrac{\text{Total Electric Cost}}{\text{Total kWh}}`,
+            String.raw`\text{Effective Rate}_{\text{elec}} = \dfrac{\text{Total Electric Cost}}{\text{Total kWh Delivered}}`,
             elecEl, { displayMode: true, throwOnError: false }
         );
     }
@@ -0,0 +1,231 @@
+/**
+ * Bill Schema
+ * The empty bill every utility extractor fills in, so charts, validation and
+ * export work the same whatever utility a bill came from
+ *
+ * Numeric fields stay null until found; extractors record why an expected
+ * field is still null in `missing`, and where each found field was read
+ * from in `provenance` (see provenance.js), both keyed by field path.
+ * Manual fixes are applied in place, with the parsed values kept in
+ * `corrections` (see corrections.js).
+ */
+
+// Display names for each commodity and charge section, e.g. "Electric Delivery"
+export const COMMODITY_LABELS = { electricity: 'Electric', gas: 'Gas' };
+// Short commodity names for table tags and chart markers
+export const COMMODITY_TAGS = { electricity: 'ELEC', gas: 'GAS' };
+export const SECTION_LABELS = { delivery: 'Delivery', supply: 'Supply', taxes: 'Taxes' };
+
+// Parts of a commodity's "Taxes and Surcharges" subtotal, in display order
+export const TAX_CATEGORIES = [
+    { key: 'grossReceipts', label: 'Gross Receipts Tax' },
+    { key: 'salesTax', label: 'Sales Tax' },
+    { key: 'surcharges', label: 'State Surcharges' },
+    { key: 'other', label: 'Other Taxes & Fees' }
+];
+
+/**
+ * Create an empty bill
+ * @param {string} fileName - Original file name for reference
+ * @returns {Object} Bill with every field null or empty
+ */
+export function createBill(fileName) {
+    return {
+        fileName,
+        // Utility that issued the bill, set by the extractor registry
+        utility: null,
+        // Account info the bill belongs to, set by the extractor registry
+        account: null,
+        // Bill template era the extraction rules were chosen for, e.g. {id: '2020', label: '2020 redesign'}
+        layout: null,
+        // Whether any page was read with OCR (scanned bill)
+        ocr: false,
+        // Page text the fields were read from, set by the extractor registry
+        text: '',
+        statementDate: null,
+        servicePeriod: {
+            start: null,
+            end: null,
+            days: null
+        },
+        averageDailyTemp: null,  // Average daily temperature in °F
+        // Earlier months from the bill's usage history tables, per commodity
+        usageHistory: {
+            electricity: [],
+            gas: []
+        },
+        electricity: {
+            // Set when the bill prints a separate period for this commodity;
+            // use servicePeriodFor() to fall back to the bill's period
+            servicePeriod: {
+                start: null,
+                end: null,
+                days: null
+            },
+            // Service classification, e.g. {code: 'SC1', description: 'Residential'}
+            serviceClass: null,
+            // Rate plan name, when the bill prints one
+            ratePlan: null,
+            usage: null,
+            basicServiceCharge: null,
+            deliveryRate: null,
+            deliveryCharge: null,
+            transitionRate: null,
+            transitionCharge: null,
+            sbcRate: null,
+            sbcCharge: null,
+            supplyRate: null,
+            supplyCharge: null,
+            totalDelivery: null,
+            totalSupply: null,
+            totalTaxes: null,
+            // totalTaxes split by TAX_CATEGORIES key, from the section's line items;
+            // null when the bill doesn't itemize them
+            taxBreakdown: null,
+            totalCost: null,
+            meter: null,
+            supplier: null,
+            // On-peak/off-peak split for time-of-use rates, null on flat-rate bills
+            timeOfUse: null,
+            // kWh delivered/received and banked credits for net-metered (solar) accounts
+            netMetering: null,
+            // Per-month segments when a bill spans a rate change
+            rateSegments: {
+                delivery: [],
+                transition: [],
+                sbc: []
+            }
+        },
+        gas: {
+            servicePeriod: {
+                start: null,
+                end: null,
+                days: null
+            },
+            serviceClass: null,
+            ratePlan: null,
+            usageCcf: null,
+            usageTherms: null,
+            // Therms per CCF (the BTU factor ÷ 1000), as printed on the bill
+            thermFactor: null,
+            // How usageTherms was worked out when the bill only gave CCF:
+            // 'factor' (the bill's therm factor) or 'typical'; null when printed
+            thermsDerived: null,
+            basicServiceCharge: null,
+            deliveryRate: null,
+            deliveryCharge: null,
+            supplyRate: null,
+            supplyCharge: null,
+            totalDelivery: null,
+            totalSupply: null,
+            totalTaxes: null,
+            taxBreakdown: null,
+            totalCost: null,
+            meter: null,
+            supplier: null,
+            rateSegments: {
+                delivery: [],
+                supply: []
+            }
+        },
+        lineItems: [],
+        // Which services appear on the bill, and why any expected field is null
+        services: {
+            electricity: false,
+            gas: false
+        },
+        missing: {},
+        provenance: {},
+        corrections: {},
+        totalEnergyCharges: null,
+        miscellaneousCharges: null,
+        amountDue: null,
+        accountActivity: null,
+        budgetBilling: null,
+        // Assistance credits, bill credits and program enrollments (see credits.js)
+        credits: null
+    };
+}
+
+/**
+ * The service period a commodity's usage and charges cover
+ * Combined bills may read the gas meter on a different day than the electric
+ * meter; bills that print one period use it for both.
+ * @param {Object} bill - Extracted bill
+ * @param {string} commodity - 'electricity' or 'gas'
+ * @returns {{start: Date|null, end: Date|null, days: number|null}}
+ */
+export function servicePeriodFor(bill, commodity) {
+    const own = bill[commodity].servicePeriod;
+    return own?.start && own?.end ? own : bill.servicePeriod;
+}
+
+/**
+ * Whether a commodity's usage covers the bill's own service period
+ * True when the bill prints no separate period for it, or prints the same dates.
+ * @param {Object} bill - Extracted bill
+ * @param {string} commodity - 'electricity' or 'gas'
+ * @returns {boolean}
+ */
+export function sharesBillPeriod(bill, commodity) {
+    const period = servicePeriodFor(bill, commodity);
+    return period === bill.servicePeriod ||
+        (period.start.getTime() === bill.servicePeriod.start?.getTime() &&
+            period.end.getTime() === bill.servicePeriod.end?.getTime());
+}
+
+/**
+ * Read a possibly nested field by its dotted path
+ * @param {Object} obj - Bill data
+ * @param {string} path - Field path like "electricity.usage"
+ * @returns {*}
+ */
+export function getField(obj, path) {
+    return path.split('.').reduce((value, key) => value?.[key], obj);
+}
+
+/**
+ * Key identifying a kind of line item across bills
+ * Month-split rows ("Delivery charge - Apr", "- May") share a key.
+ * @param {Object} item - Line item
+ * @returns {string}
+ */
+function lineItemKey(item) {
+    return `${item.commodity}|${item.section}|${item.description.toLowerCase()}`;
+}
+
+/**
+ * List the distinct kinds of line item found across a set of bills
+ * @param {Array} bills - Array of extracted bill data
+ * @returns {Array<{key: string, commodity: string, section: string, description: string}>}
+ */
+export function listLineItemTypes(bills) {
+    const types = new Map();
+    for (const bill of bills) {
+        for (const item of bill.lineItems || []) {
+            const key = lineItemKey(item);
+            if (!types.has(key)) {
+                types.set(key, { key, commodity: item.commodity, section: item.section, description: item.description });
+            }
+        }
+    }
+
+    const commodityOrder = ['electricity', 'gas'];
+    const sectionOrder = ['delivery', 'supply', 'taxes'];
+    return [...types.values()].sort((a, b) =>
+        commodityOrder.indexOf(a.commodity) - commodityOrder.indexOf(b.commodity) ||
+        sectionOrder.indexOf(a.section) - sectionOrder.indexOf(b.section)
+    );
+}
+
+/**
+ * Sum a bill's line items of one kind
+ * @param {Object} bill - Extracted bill data
+ * @param {string} key - Key from listLineItemTypes
+ * @returns {number|null} Total amount, or null if the bill has no such item
+ */
+export function lineItemTotal(bill, key) {
+    const matching = (bill.lineItems || []).filter(item => lineItemKey(item) === key);
+    if (matching.length === 0) return null;
+    return matching.reduce((sum, item) => sum + item.amount, 0);
+}
@@ -0,0 +1,251 @@
+/**
+ * Bill Validator Module
+ * Cross-checks extracted bill figures against each other and scores
+ * how much the extraction can be trusted
+ */
+
+import { COMMODITY_LABELS, SECTION_LABELS } from './bill-schema.js';
+
+// Allowed difference when comparing dollar amounts (covers per-line rounding)
+const MONEY_TOLERANCE = 0.05;
+
+// Allowed relative difference between rate × usage and the printed charge
+const RATE_TOLERANCE = 0.01;
+
+// Allowed difference between CCF × therm factor and the printed therms
+// (therms are printed to a tenth)
+const THERM_TOLERANCE = 0.1;
+
+// Confidence lost per finding, by severity
+const SEVERITY_PENALTY = {
+    error: 0.25,
+    warning: 0.1
+};
+
+const SECTION_TOTALS = { delivery: 'totalDelivery', supply: 'totalSupply', taxes: 'totalTaxes' };
+
+// Highest confidence a bill read with OCR can get, however well it reconciles
+const OCR_CONFIDENCE_CAP = 0.8;
+
+// Fields every bill should have; other fields (e.g. SBC charge) legitimately vary between bills
+const KEY_FIELDS = [
+    'statementDate',
+    'totalEnergyCharges',
+    'electricity.usage',
+    'electricity.totalCost',
+    'gas.usageTherms',
+    'gas.totalCost'
+];
+
+/**
+ * Check whether two dollar amounts agree within tolerance
+ * @param {number} a
+ * @param {number} b
+ * @param {number} [tolerance]
+ * @returns {boolean}
+ */
+function amountsMatch(a, b, tolerance = MONEY_TOLERANCE) {
+    return Math.abs(a - b) <= tolerance;
+}
+
+/**
+ * Check whether rate × quantity reproduces a printed charge
+ * @param {number} rate
+ * @param {number} quantity
+ * @param {number} charge
+ * @returns {boolean}
+ */
+function rateMatches(rate, quantity, charge) {
+    const expected = rate * quantity;
+    return Math.abs(expected - charge) <= Math.max(MONEY_TOLERANCE, Math.abs(charge) * RATE_TOLERANCE);
+}
+
+/**
+ * Format a dollar amount for a warning message
+ * @param {number} amount
+ * @returns {string}
+ */
+function dollars(amount) {
+    return '$' + amount.toFixed(2);
+}
+
+/**
+ * Warn when the bill's text came from OCR of a scanned page
+ * @param {Object} bill
+ * @param {Function} warn
+ */
+function checkTextSource(bill, warn) {
+    if (bill.ocr) {
+        warn('warning', 'ocr', 'Read from a scanned image with OCR; digits may be misread');
+    }
+}
+
+/**
+ * Warn about key fields the extractor couldn't find
+ * @param {Object} bill
+ * @param {Function} warn
+ */
+function checkMissingFields(bill, warn) {
+    for (const path of KEY_FIELDS) {
+        const reason = bill.missing?.[path];
+        if (reason) {
+            warn('error', 'missing-field', reason);
+        }
+    }
+}
+
+/**
+ * Check line items against the subtotal of their section
+ * @param {Object} bill
+ * @param {Function} warn
+ */
+function checkLineItemSubtotals(bill, warn) {
+    for (const commodity of ['electricity', 'gas']) {
+        for (const section of ['delivery', 'supply', 'taxes']) {
+            const items = (bill.lineItems || []).filter(item =>
+                item.commodity === commodity && item.section === section
+            );
+            const subtotal = bill[commodity][SECTION_TOTALS[section]];
+            if (items.length === 0 || !subtotal) continue;
+
+            const sum = items.reduce((total, item) => total + item.amount, 0);
+            if (!amountsMatch(sum, subtotal, MONEY_TOLERANCE * items.length)) {
+                warn('warning', 'line-items-subtotal',
+                    `${COMMODITY_LABELS[commodity]} ${SECTION_LABELS[section].toLowerCase()} line items add up to ${dollars(sum)}, subtotal is ${dollars(subtotal)}`);
+            }
+        }
+    }
+}
+
+/**
+ * Check delivery + supply + taxes against each commodity's printed total
+ * @param {Object} bill
+ * @param {Function} warn
+ */
+function checkCommodityTotals(bill, warn) {
+    for (const commodity of ['electricity', 'gas']) {
+        const { totalDelivery, totalSupply, totalTaxes, totalCost } = bill[commodity];
+        if (!totalCost) continue;
+
+        const sum = (totalDelivery ?? 0) + (totalSupply ?? 0) + (totalTaxes ?? 0);
+        if (!amountsMatch(sum, totalCost)) {
+            warn('error', 'commodity-total',
+                `${COMMODITY_LABELS[commodity]} delivery + supply + taxes is ${dollars(sum)}, total cost is ${dollars(totalCost)}`);
+        }
+    }
+}
+
+/**
+ * Check electric + gas totals against "Total Energy Charges"
+ * @param {Object} bill
+ * @param {Function} warn
+ */
+function checkEnergyTotal(bill, warn) {
+    if (!bill.totalEnergyCharges) return;
+
+    // totalEnergyCharges already includes miscellaneous charges
+    const printedTotal = bill.totalEnergyCharges - (bill.miscellaneousCharges ?? 0);
+    const sum = (bill.electricity.totalCost ?? 0) + (bill.gas.totalCost ?? 0);
+    if (!amountsMatch(sum, printedTotal)) {
+        warn('error', 'energy-total',
+            `Electric + gas totals are ${dollars(sum)}, total energy charges are ${dollars(printedTotal)}`);
+    }
+}
+
+/**
+ * Check rate × usage against each charge
+ * Uses line items where the bill has them, otherwise the fixed rate fields.
+ * @param {Object} bill
+ * @param {Function} warn
+ */
+function checkRateCharges(bill, warn) {
+    const lineItems = bill.lineItems || [];
+
+    for (const item of lineItems) {
+        if (item.rate === null || item.quantity === null) continue;
+        if (!rateMatches(item.rate, item.quantity, item.amount)) {
+            const label = item.month ? `${item.description} - ${item.month}` : item.description;
+            warn('warning', 'rate-charge',
+                `${COMMODITY_LABELS[item.commodity]} ${label}: ${item.quantity} ${item.unit} × ${item.rate} ≠ ${dollars(item.amount)}`);
+        }
+    }
+
+    const fixedCharges = [
+        ['electricity', 'delivery', bill.electricity.usage],
+        ['electricity', 'transition', bill.electricity.usage],
+        ['electricity', 'sbc', bill.electricity.usage],
+        ['electricity', 'supply', bill.electricity.usage],
+        ['gas', 'delivery', bill.gas.usageTherms],
+        ['gas', 'supply', bill.gas.usageTherms]
+    ];
+    for (const [commodity, name, usage] of fixedCharges) {
+        if (lineItems.some(item => item.commodity === commodity)) continue;
+
+        const rate = bill[commodity][`${name}Rate`];
+        const charge = bill[commodity][`${name}Charge`];
+        if (!rate || !charge || !usage) continue;
+        if (!rateMatches(rate, usage, charge)) {
+            warn('warning', 'rate-charge',
+                `${COMMODITY_LABELS[commodity]} ${name} rate × usage is ${dollars(rate * usage)}, charge is ${dollars(charge)}`);
+        }
+    }
+}
+
+/**
+ * Check CCF × therm factor against the printed therms, and flag therms that
+ * had to be worked out with a typical factor
+ * @param {Object} bill
+ * @param {Function} warn
+ */
+function checkThermConversion(bill, warn) {
+    const { usageCcf, usageTherms, thermFactor, thermsDerived } = bill.gas;
+
+    if (thermsDerived === 'typical') {
+        warn('warning', 'therms-derived',
+            `Gas therms worked out from ${usageCcf} CCF with a typical factor; the bill's therm figure wasn't found`);
+        return;
+    }
+    if (thermsDerived || usageCcf === null || usageTherms === null || thermFactor === null) return;
+
+    const expected = usageCcf * thermFactor;
+    if (Math.abs(expected - usageTherms) > Math.max(THERM_TOLERANCE, usageTherms * RATE_TOLERANCE)) {
+        warn('warning', 'therm-factor',
+            `Gas ${usageCcf} CCF × ${thermFactor} is ${expected.toFixed(1)} therms, bill shows ${usageTherms} therms`);
+    }
+}
+
+/**
+ * Run every consistency check on an extracted bill
+ * @param {Object} bill - Extracted bill data
+ * @returns {{warnings: Array<{severity: string, code: string, message: string}>, confidence: number}}
+ */
+export function validateBill(bill) {
+    const warnings = [];
+    const warn = (severity, code, message) => warnings.push({ severity, code, message });
+
+    checkTextSource(bill, warn);
+    checkMissingFields(bill, warn);
+    checkLineItemSubtotals(bill, warn);
+    checkCommodityTotals(bill, warn);
+    checkEnergyTotal(bill, warn);
+    checkRateCharges(bill, warn);
+    checkThermConversion(bill, warn);
+
+    const penalty = warnings.reduce((sum, w) => sum + SEVERITY_PENALTY[w.severity], 0);
+    const ceiling = bill.ocr ? OCR_CONFIDENCE_CAP : 1;
+    return {
+        warnings,
+        confidence: Math.max(0, Math.min(ceiling, 1 - penalty))
+    };
+}
+
+/**
+ * Bucket a confidence score for display
+ * @param {number} confidence - Score from validateBill
+ * @returns {'high'|'medium'|'low'}
+ */
+export function confidenceLevel(confidence) {
+    if (confidence >= 0.9) return 'high';
+    if (confidence >= 0.6) return 'medium';
+    return 'low';
+}
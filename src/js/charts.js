@@ -3,7 +3,11 @@
  * Handles Chart.js chart creation and updates
  */
 
-import { formatDateShort, formatCurrency } from './nyseg-extractor.js';
+import { formatDate, formatDateShort, formatCurrency } from './format.js';
+import { buildUsageHistory } from './usage-history.js';
+import { creditTotal, grossCharges, netCost, describePrograms } from './credits.js';
+import { serviceClassChanges } from './service-class.js';
+import { servicePeriodFor, listLineItemTypes, lineItemTotal, TAX_CATEGORIES } from './bill-schema.js';
 
 // Chart instances
 let electricityUsageChart = null;
@@ -18,6 +22,31 @@ let gasCostBreakdownChart = null;
 let effectiveRatesChart = null;
 let costPerDegreeDayChart = null;
 let markupChart = null;
+let creditsChart = null;
+let paymentTimelineChart = null;
+let budgetBillingChart = null;
+let touUsageChart = null;
+let touComparisonChart = null;
+let netMeteringChart = null;
+let thermFactorChart = null;
+
+// Bills last passed to updateCharts, so views can be redrawn without reprocessing
+let currentBills = [];
+
+// Whether each cost breakdown chart shows individual line items instead of subtotals
+const breakdownDetail = {
+    electricity: false,
+    gas: false
+};
+
+// Whether the markup chart splits taxes & fees into TAX_CATEGORIES
+let taxDetail = false;
+
+// Whether each rate chart draws rate segments as a step line on a date axis
+const rateSteps = {
+    electricity: false,
+    gas: false
+};
 
 // Common chart options
 const commonOptions = {
@@ -125,6 +154,66 @@ const colors = {
     cost: {
         main: 'rgb(74, 222, 128)',        // NYSEG Green
         light: 'rgba(74, 222, 128, 0.15)'
+    },
+    credits: {
+        main: 'rgb(20, 184, 166)',        // Teal
+        light: 'rgba(20, 184, 166, 0.15)'
+    }
+};
+
+// Colors for third-party suppliers (ESCOs), assigned in order of first appearance
+const supplierPalette = ['rgb(168, 85, 247)', 'rgb(236, 72, 153)', 'rgb(20, 184, 166)', 'rgb(202, 138, 4)'];
+
+// Shades for individual line items, cycled within each section
+const lineItemPalette = {
+    delivery: ['rgb(147, 197, 253)', 'rgb(191, 219, 254)', 'rgb(125, 211, 252)', 'rgb(165, 180, 252)', 'rgb(103, 232, 249)'],
+    supply: ['rgb(59, 130, 246)', 'rgb(37, 99, 235)', 'rgb(79, 70, 229)', 'rgb(14, 165, 233)', 'rgb(29, 78, 216)'],
+    taxes: ['rgb(74, 222, 128)', 'rgb(34, 197, 94)', 'rgb(134, 239, 172)', 'rgb(22, 163, 74)', 'rgb(163, 230, 53)']
+};
+
+/**
+ * Horizontal position of a bill's first point on a chart
+ * @param {Chart} chart - Chart instance
+ * @param {number} billIndex - Index into the bills passed to updateCharts
+ * @returns {number|null} Pixel x, or null when no visible dataset has the bill
+ */
+function billPixelX(chart, billIndex) {
+    for (let i = 0; i < chart.data.datasets.length; i++) {
+        if (!chart.isDatasetVisible(i)) continue;
+        const data = chart.data.datasets[i].data;
+        // Date-axis step lines and history slots tag their points with the bill
+        const tagged = data.some(point => point && typeof point === 'object' && 'billIndex' in point);
+        const pointIndex = tagged ? data.findIndex(point => point?.billIndex === billIndex) : billIndex;
+        const element = chart.getDatasetMeta(i).data[pointIndex];
+        if (element) return element.x;
+    }
+    return null;
+}
+
+// Draws a dashed line at each bill in chart._classChanges, where the service class changed
+const serviceClassPlugin = {
+    id: 'serviceClassChanges',
+    afterDatasetsDraw(chart) {
+        const changes = chart._classChanges ?? [];
+        if (changes.length === 0) return;
+
+        const { ctx, chartArea } = chart;
+        ctx.save();
+        ctx.strokeStyle = '#92400e';
+        ctx.fillStyle = '#92400e';
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([6, 4]);
+        ctx.font = '600 11px sans-serif';
+        for (const { billIndex, text } of changes) {
+            const x = billPixelX(chart, billIndex);
+            if (x === null) continue;
+            ctx.beginPath();
+            ctx.moveTo(x, chartArea.top);
+            ctx.lineTo(x, chartArea.bottom);
+            ctx.stroke();
+            ctx.fillText(text, x + 4, chartArea.top + 12);
+        }
+        ctx.restore();
     }
 };
 
@@ -132,6 +221,8 @@ const colors = {
  * Initialize all charts
  */
 export function initCharts() {
+    Chart.register(serviceClassPlugin);
+
     // Electricity Usage Chart
     const elecUsageCtx = document.getElementById('electricity-usage-chart').getContext('2d');
     electricityUsageChart = new Chart(elecUsageCtx, {
@@ -145,10 +236,20 @@ export function initCharts() {
                 backgroundColor: colors.electric.light,
                 pointBackgroundColor: colors.electric.main,
                 fill: true,
+                spanGaps: true,
                 tension: 0.3,
                 pointRadius: 4,
                 pointHoverRadius: 6
-            }]
+            }, {
+                label: 'Trued-up kWh',
+                data: [],
+                borderColor: colors.electric.supply,
+                backgroundColor: 'transparent',
+                pointBackgroundColor: colors.electric.supply,
+                borderDash: [5, 5],
+                tension: 0.3,
+                pointRadius: 3
+            }, historyDataset('kWh from bill history', colors.electric.main)]
         },
         options: {
             ...commonOptions,
@@ -157,7 +258,16 @@ export function initCharts() {
                 tooltip: {
                     ...commonOptions.plugins.tooltip,
                     callbacks: {
-                        label: (ctx) => `${ctx.parsed.y.toLocaleString()} kWh`
+                        label: (ctx) => {
+                            if (ctx.datasetIndex === 1) {
+                                return `Trued-up: ${Math.round(ctx.parsed.y).toLocaleString()} kWh`;
+                            }
+                            if (ctx.datasetIndex === 2) {
+                                return historyTooltipLabel(ctx, `${Math.round(ctx.parsed.y).toLocaleString()} kWh`);
+                            }
+                            const estimated = ctx.chart._estimatedPoints?.[ctx.dataIndex] ? ' (estimated read)' : '';
+                            return `${ctx.parsed.y.toLocaleString()} kWh${estimated}`;
+                        }
                     }
                 }
             },
@@ -189,10 +299,20 @@ export function initCharts() {
                 backgroundColor: 'rgba(234, 88, 12, 0.15)',
                 pointBackgroundColor: colors.gas.supply,
                 fill: true,
+                spanGaps: true,
                 tension: 0.3,
                 pointRadius: 4,
                 pointHoverRadius: 6
-            }]
+            }, {
+                label: 'Trued-up Therms',
+                data: [],
+                borderColor: colors.gas.main,
+                backgroundColor: 'transparent',
+                pointBackgroundColor: colors.gas.main,
+                borderDash: [5, 5],
+                tension: 0.3,
+                pointRadius: 3
+            }, historyDataset('Therms from bill history', colors.gas.supply)]
         },
         options: {
             ...commonOptions,
@@ -201,7 +321,16 @@ export function initCharts() {
                 tooltip: {
                     ...commonOptions.plugins.tooltip,
                     callbacks: {
-                        label: (ctx) => `${ctx.parsed.y.toFixed(1)} therms`
+                        label: (ctx) => {
+                            if (ctx.datasetIndex === 1) {
+                                return `Trued-up: ${ctx.parsed.y.toFixed(1)} therms`;
+                            }
+                            if (ctx.datasetIndex === 2) {
+                                return historyTooltipLabel(ctx, `${ctx.parsed.y.toFixed(1)} therms`);
+                            }
+                            const estimated = ctx.chart._estimatedPoints?.[ctx.dataIndex] ? ' (estimated read)' : '';
+                            return `${ctx.parsed.y.toFixed(1)} therms${estimated}`;
+                        }
                     }
                 }
             },
@@ -254,7 +383,8 @@ export function initCharts() {
                 tooltip: {
                     ...commonOptions.plugins.tooltip,
                     callbacks: {
-                        label: (ctx) => `${ctx.dataset.label}: $${ctx.parsed.y.toFixed(5)}/kWh`
+                        title: rateTooltipTitle,
+                        label: (ctx) => `${rateTooltipLabel(ctx)}: $${ctx.parsed.y.toFixed(5)}/kWh`
                     }
                 }
             },
@@ -307,7 +437,8 @@ export function initCharts() {
                 tooltip: {
                     ...commonOptions.plugins.tooltip,
                     callbacks: {
-                        label: (ctx) => `${ctx.dataset.label}: $${ctx.parsed.y.toFixed(4)}/therm`
+                        title: rateTooltipTitle,
+                        label: (ctx) => `${rateTooltipLabel(ctx)}: $${ctx.parsed.y.toFixed(4)}/therm`
                     }
                 }
             },
@@ -339,10 +470,11 @@ export function initCharts() {
                 backgroundColor: colors.temperature.light,
                 pointBackgroundColor: colors.temperature.main,
                 fill: true,
+                spanGaps: true,
                 tension: 0.3,
                 pointRadius: 4,
                 pointHoverRadius: 6
-            }]
+            }, historyDataset('Temp from bill history', colors.temperature.main)]
         },
         options: {
             ...commonOptions,
@@ -351,7 +483,9 @@ export function initCharts() {
                 tooltip: {
                     ...commonOptions.plugins.tooltip,
                     callbacks: {
-                        label: (ctx) => `${ctx.parsed.y}°F`
+                        label: (ctx) => ctx.datasetIndex === 1
+                            ? historyTooltipLabel(ctx, `${ctx.parsed.y}°F`)
+                            : `${ctx.parsed.y}°F`
                     }
                 }
             },
@@ -748,6 +882,392 @@ export function initCharts() {
         }
     });
 
+    // Charges, Credits & Net Cost (credits drawn below zero, net cost as a line)
+    const creditsCtx = document.getElementById('credits-chart').getContext('2d');
+    creditsChart = new Chart(creditsCtx, {
+        type: 'bar',
+        data: {
+            labels: [],
+            datasets: [
+                {
+                    label: 'Gross Charges',
+                    data: [],
+                    backgroundColor: colors.misc.main,
+                    stack: 'charges',
+                    order: 2
+                },
+                {
+                    label: 'Credits & Assistance',
+                    data: [],
+                    backgroundColor: colors.credits.main,
+                    stack: 'charges',
+                    order: 2
+                },
+                {
+                    type: 'line',
+                    label: 'Net Cost',
+                    data: [],
+                    borderColor: colors.gas.supply,
+                    backgroundColor: colors.gas.supply,
+                    tension: 0.3,
+                    spanGaps: true,
+                    stack: 'net',
+                    order: 1
+                }
+            ]
+        },
+        options: {
+            ...commonOptions,
+            plugins: {
+                ...commonOptions.plugins,
+                tooltip: {
+                    ...commonOptions.plugins.tooltip,
+                    callbacks: {
+                        label: (ctx) => `${ctx.dataset.label}: ${formatCurrency(Math.abs(ctx.parsed.y))}`,
+                        afterBody: (items) => {
+                            const programs = creditsChart._programs?.[items[0]?.dataIndex];
+                            return programs ? `Programs: ${programs}` : '';
+                        }
+                    }
+                }
+            },
+            scales: {
+                ...commonOptions.scales,
+                x: { ...commonOptions.scales.x, stacked: true },
+                y: {
+                    ...commonOptions.scales.y,
+                    stacked: true,
+                    title: { display: true, text: 'Cost ($)', font: { size: 13, weight: '700' }, color: '#1e293b' }
+                }
+            }
+        }
+    });
+
+    // Payment Timeline (billed vs paid, with late fees)
+    const paymentTimelineCtx = document.getElementById('payment-timeline-chart').getContext('2d');
+    paymentTimelineChart = new Chart(paymentTimelineCtx, {
+        type: 'bar',
+        data: {
+            labels: [],
+            datasets: [
+                {
+                    label: 'Billed',
+                    data: [],
+                    backgroundColor: colors.electric.supply
+                },
+                {
+                    label: 'Paid',
+                    data: [],
+                    backgroundColor: colors.taxes.main
+                },
+                {
+                    label: 'Late Fees',
+                    data: [],
+                    backgroundColor: colors.gas.supply
+                }
+            ]
+        },
+        options: {
+            ...commonOptions,
+            plugins: {
+                ...commonOptions.plugins,
+                tooltip: {
+                    ...commonOptions.plugins.tooltip,
+                    callbacks: {
+                        label: (ctx) => `${ctx.dataset.label}: ${formatCurrency(ctx.parsed.y)}`,
+                        afterBody: (items) => {
+                            const due = items[0]?.chart._dueDates?.[items[0].dataIndex];
+                            return due ? `Due: ${formatDate(due)}` : '';
+                        }
+                    }
+                }
+            },
+            scales: {
+                ...commonOptions.scales,
+                y: {
+                    ...commonOptions.scales.y,
+                    title: { display: true, text: '$', font: { size: 13, weight: '700' }, color: '#1e293b' }
+                }
+            }
+        }
+    });
+
+    // Budget Billing Chart (deferred balance vs installment and actual charges)
+    const budgetBillingCtx = document.getElementById('budget-billing-chart').getContext('2d');
+    budgetBillingChart = new Chart(budgetBillingCtx, {
+        type: 'line',
+        data: {
+            labels: [],
+            datasets: [
+                {
+                    label: 'Deferred Balance',
+                    data: [],
+                    borderColor: colors.gas.supply,
+                    backgroundColor: 'rgba(234, 88, 12, 0.15)',
+                    pointBackgroundColor: colors.gas.supply,
+                    fill: true,
+                    tension: 0.3,
+                    pointRadius: 4
+                },
+                {
+                    label: 'Budget Installment',
+                    data: [],
+                    borderColor: colors.taxes.main,
+                    backgroundColor: 'transparent',
+                    pointBackgroundColor: colors.taxes.main,
+                    borderDash: [5, 5],
+                    tension: 0,
+                    pointRadius: 3
+                },
+                {
+                    label: 'Actual Charges',
+                    data: [],
+                    borderColor: colors.electric.supply,
+                    backgroundColor: 'transparent',
+                    pointBackgroundColor: colors.electric.supply,
+                    tension: 0.3,
+                    pointRadius: 4
+                }
+            ]
+        },
+        options: {
+            ...commonOptions,
+            plugins: {
+                ...commonOptions.plugins,
+                tooltip: {
+                    ...commonOptions.plugins.tooltip,
+                    callbacks: {
+                        label: (ctx) => `${ctx.dataset.label}: ${formatCurrency(ctx.parsed.y)}`,
+                        afterBody: (items) => {
+                            const month = items[0]?.chart._settlementMonths?.[items[0].dataIndex];
+                            return month ? `Settles in ${month}` : '';
+                        }
+                    }
+                }
+            },
+            scales: {
+                ...commonOptions.scales,
+                y: {
+                    ...commonOptions.scales.y,
+                    beginAtZero: false,
+                    title: { display: true, text: '$', font: { size: 13, weight: '700' }, color: '#1e293b' }
+                }
+            }
+        }
+    });
+
+    // Time-of-Use Usage Chart (on-peak and off-peak kWh stacked)
+    const touUsageCtx = document.getElementById('tou-usage-chart').getContext('2d');
+    touUsageChart = new Chart(touUsageCtx, {
+        type: 'bar',
+        data: {
+            labels: [],
+            datasets: [
+                {
+                    label: 'On-Peak kWh',
+                    data: [],
+                    backgroundColor: colors.electric.supply
+                },
+                {
+                    label: 'Off-Peak kWh',
+                    data: [],
+                    backgroundColor: colors.electric.delivery
+                }
+            ]
+        },
+        options: {
+            ...commonOptions,
+            plugins: {
+                ...commonOptions.plugins,
+                tooltip: {
+                    ...commonOptions.plugins.tooltip,
+                    callbacks: {
+                        label: (ctx) => `${ctx.dataset.label}: ${ctx.parsed.y.toLocaleString()}`,
+                        afterBody: (items) => {
+                            const rates = items[0]?.chart._periodRates?.[items[0].dataIndex];
+                            return rates ? [`On-peak: $${rates.onPeak.toFixed(5)}/kWh`, `Off-peak: $${rates.offPeak.toFixed(5)}/kWh`] : '';
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: { ...commonOptions.scales.x, stacked: true },
+                y: {
+                    ...commonOptions.scales.y,
+                    stacked: true,
+                    title: { display: true, text: 'kWh', font: { size: 13, weight: '700' }, color: '#1e293b' }
+                }
+            }
+        }
+    });
+
+    // Time-of-Use vs Flat Rate Chart (actual electric cost vs flat-rate estimate)
+    const touComparisonCtx = document.getElementById('tou-comparison-chart').getContext('2d');
+    touComparisonChart = new Chart(touComparisonCtx, {
+        type: 'bar',
+        data: {
+            labels: [],
+            datasets: [
+                {
+                    label: 'Actual (TOU)',
+                    data: [],
+                    backgroundColor: colors.electric.supply
+                },
+                {
+                    label: 'Flat Rate Estimate',
+                    data: [],
+                    backgroundColor: colors.misc.light,
+                    borderColor: colors.misc.main,
+                    borderWidth: 1
+                }
+            ]
+        },
+        options: {
+            ...commonOptions,
+            plugins: {
+                ...commonOptions.plugins,
+                tooltip: {
+                    ...commonOptions.plugins.tooltip,
+                    callbacks: {
+                        label: (ctx) => `${ctx.dataset.label}: ${formatCurrency(ctx.parsed.y)}`,
+                        afterBody: (items) => {
+                            const comparison = items[0]?.chart._comparisons?.[items[0].dataIndex];
+                            if (!comparison) return '';
+                            const verdict = comparison.savings >= 0
+                                ? `TOU saved ${formatCurrency(comparison.savings)}`
+                                : `TOU cost ${formatCurrency(-comparison.savings)} more`;
+                            return [verdict, `Flat rates from ${formatDate(comparison.source)} bill`];
+                        }
+                    }
+                }
+            },
+            scales: {
+                ...commonOptions.scales,
+                y: {
+                    ...commonOptions.scales.y,
+                    title: { display: true, text: 'Electric Cost ($)', font: { size: 13, weight: '700' }, color: '#1e293b' }
+                }
+            }
+        }
+    });
+
+    // Therm Factor Chart (printed factor vs what the bill's CCF and therms imply)
+    const thermFactorCtx = document.getElementById('therm-factor-chart').getContext('2d');
+    thermFactorChart = new Chart(thermFactorCtx, {
+        type: 'line',
+        data: {
+            labels: [],
+            datasets: [
+                {
+                    label: 'Printed Therm Factor',
+                    data: [],
+                    borderColor: colors.gas.supply,
+                    backgroundColor: colors.gas.supply,
+                    spanGaps: true,
+                    tension: 0.3,
+                    pointRadius: 4,
+                    pointHoverRadius: 6
+                },
+                {
+                    label: 'Therms ÷ CCF',
+                    data: [],
+                    borderColor: colors.gas.delivery,
+                    backgroundColor: 'white',
+                    borderDash: [5, 5],
+                    spanGaps: true,
+                    tension: 0.3,
+                    pointRadius: 4,
+                    pointHoverRadius: 6
+                }
+            ]
+        },
+        options: {
+            ...commonOptions,
+            plugins: {
+                ...commonOptions.plugins,
+                tooltip: {
+                    ...commonOptions.plugins.tooltip,
+                    callbacks: {
+                        label: (ctx) => `${ctx.dataset.label}: ${ctx.parsed.y.toFixed(4)} therms/CCF`
+                    }
+                }
+            },
+            scales: {
+                ...commonOptions.scales,
+                y: {
+                    ...commonOptions.scales.y,
+                    beginAtZero: false,
+                    title: { display: true, text: 'Therms per CCF', font: { size: 13, weight: '700' }, color: '#1e293b' }
+                }
+            }
+        }
+    });
+
+    // Net Metering Chart (grid import/export with banked kWh on a second axis)
+    const netMeteringCtx = document.getElementById('net-metering-chart').getContext('2d');
+    netMeteringChart = new Chart(netMeteringCtx, {
+        type: 'bar',
+        data: {
+            labels: [],
+            datasets: [
+                {
+                    label: 'Imported (Delivered) kWh',
+                    data: [],
+                    backgroundColor: colors.electric.main,
+                    yAxisID: 'y'
+                },
+                {
+                    label: 'Exported (Received) kWh',
+                    data: [],
+                    backgroundColor: colors.taxes.main,
+                    yAxisID: 'y'
+                },
+                {
+                    label: 'Banked kWh',
+                    data: [],
+                    type: 'line',
+                    borderColor: colors.cost.main,
+                    backgroundColor: colors.cost.light,
+                    pointBackgroundColor: colors.cost.main,
+                    fill: true,
+                    tension: 0.3,
+                    pointRadius: 4,
+                    yAxisID: 'y1'
+                }
+            ]
+        },
+        options: {
+            ...commonOptions,
+            plugins: {
+                ...commonOptions.plugins,
+                tooltip: {
+                    ...commonOptions.plugins.tooltip,
+                    callbacks: {
+                        label: (ctx) => `${ctx.dataset.label}: ${ctx.parsed.y.toLocaleString()}`,
+                        afterBody: (items) => {
+                            const credit = items[0]?.chart._credits?.[items[0].dataIndex];
+                            return credit ? `Credit: ${formatCurrency(credit)}` : '';
+                        }
+                    }
+                }
+            },
+            scales: {
+                ...commonOptions.scales,
+                y: {
+                    ...commonOptions.scales.y,
+                    position: 'left',
+                    title: { display: true, text: 'kWh', font: { size: 13, weight: '700' }, color: '#1e293b' }
+                },
+                y1: {
+                    ...commonOptions.scales.y,
+                    position: 'right',
+                    grid: { drawOnChartArea: false },
+                    title: { display: true, text: 'Banked kWh', font: { size: 13, weight: '700' }, color: '#1e293b' }
+                }
+            }
+        }
+    });
+
     // Effective Rates Chart (all-in cost per unit)
     const effectiveRatesCtx = document.getElementById('effective-rates-chart').getContext('2d');
     effectiveRatesChart = new Chart(effectiveRatesCtx, {
@@ -833,87 +1353,93 @@ export function updateCharts(bills) {
         return a.statementDate - b.statementDate;
     });
 
+    currentBills = sortedBills;
+
+    // Mark where the service class changes on every chart
+    const classChanges = serviceClassChanges(sortedBills);
+    for (const chart of getAllCharts()) {
+        chart._classChanges = classChanges;
+    }
+
     // Generate labels
     const labels = sortedBills.map(bill => formatDateShort(bill.statementDate));
 
+    // Usage and temperature charts also show months from the bills' usage
+    // history tables that have no bill of their own
+    const timeline = historyTimeline(sortedBills, buildUsageHistory(sortedBills));
+
     // Electricity Usage
-    electricityUsageChart.data.labels = labels;
-    electricityUsageChart.data.datasets[0].data = sortedBills.map(b => b.electricity.usage);
+    updateHistoryChart(electricityUsageChart, sortedBills, timeline, [
+        b => b.electricity.usage,
+        b => b.electricity.trueUpUsage ?? null
+    ], entry => entry.electricity);
+    styleEstimatedPoints(electricityUsageChart, timeline.map(slot =>
+        slot.billIndex !== null && !!sortedBills[slot.billIndex].electricity.meter?.estimated
+    ), colors.electric.main);
     electricityUsageChart.update();
 
     // Gas Usage
-    gasUsageChart.data.labels = labels;
-    gasUsageChart.data.datasets[0].data = sortedBills.map(b => b.gas.usageTherms);
+    updateHistoryChart(gasUsageChart, sortedBills, timeline, [
+        b => b.gas.usageTherms,
+        b => b.gas.trueUpUsage ?? null
+    ], entry => entry.gas);
+    styleEstimatedPoints(gasUsageChart, timeline.map(slot =>
+        slot.billIndex !== null && !!sortedBills[slot.billIndex].gas.meter?.estimated
+    ), colors.gas.supply);
     gasUsageChart.update();
 
-    // Electricity Rates
-    electricityRatesChart.data.labels = labels;
-    electricityRatesChart.data.datasets[0].data = sortedBills.map(b => b.electricity.supplyRate);
-    electricityRatesChart.data.datasets[1].data = sortedBills.map(b => b.electricity.deliveryRate);
-    electricityRatesChart.update();
-
-    // Gas Rates
-    gasRatesChart.data.labels = labels;
-    gasRatesChart.data.datasets[0].data = sortedBills.map(b => b.gas.supplyRate);
-    gasRatesChart.data.datasets[1].data = sortedBills.map(b => b.gas.deliveryRate);
-    gasRatesChart.update();
+    // Electricity and Gas Rates
+    updateRateChart(electricityRatesChart, sortedBills, labels, 'electricity');
+    updateRateChart(gasRatesChart, sortedBills, labels, 'gas');
 
     // Temperature
-    temperatureChart.data.labels = labels;
-    temperatureChart.data.datasets[0].data = sortedBills.map(b => b.averageDailyTemp);
+    updateHistoryChart(temperatureChart, sortedBills, timeline, [b => b.averageDailyTemp], entry => entry.temperature);
     temperatureChart.update();
 
     // Daily Averages ($/day)
     dailyAveragesChart.data.labels = labels;
-    dailyAveragesChart.data.datasets[0].data = sortedBills.map(b =>
-        b.servicePeriod.days > 0 ? b.totalEnergyCharges / b.servicePeriod.days : 0
-    );
+    dailyAveragesChart.data.datasets[0].data = sortedBills.map(dailyCost);
     dailyAveragesChart.update();
 
     // Usage vs Temperature
     usageVsTempChart.data.labels = labels;
     usageVsTempChart.data.datasets[0].data = sortedBills.map(b =>
-        b.servicePeriod.days > 0 ? b.electricity.usage / b.servicePeriod.days : 0
+        perUnit(b.electricity.usage, servicePeriodFor(b, 'electricity').days)
     );
     usageVsTempChart.data.datasets[1].data = sortedBills.map(b =>
-        b.servicePeriod.days > 0 ? b.gas.usageTherms / b.servicePeriod.days : 0
+        perUnit(b.gas.usageTherms, servicePeriodFor(b, 'gas').days)
     );
     usageVsTempChart.data.datasets[2].data = sortedBills.map(b => b.averageDailyTemp);
     usageVsTempChart.update();
 
-    // Electric Cost Breakdown
-    electricCostBreakdownChart.data.labels = labels;
-    electricCostBreakdownChart.data.datasets[0].data = sortedBills.map(b => b.electricity.totalDelivery);
-    electricCostBreakdownChart.data.datasets[1].data = sortedBills.map(b => b.electricity.totalSupply);
-    electricCostBreakdownChart.data.datasets[2].data = sortedBills.map(b => b.electricity.totalTaxes);
-    electricCostBreakdownChart.update();
-
-    // Gas Cost Breakdown
-    gasCostBreakdownChart.data.labels = labels;
-    gasCostBreakdownChart.data.datasets[0].data = sortedBills.map(b => b.gas.totalDelivery);
-    gasCostBreakdownChart.data.datasets[1].data = sortedBills.map(b => b.gas.totalSupply);
-    gasCostBreakdownChart.data.datasets[2].data = sortedBills.map(b => b.gas.totalTaxes);
-    gasCostBreakdownChart.update();
+    // Cost Breakdowns
+    updateCostBreakdown(electricCostBreakdownChart, sortedBills, labels, 'electricity');
+    updateCostBreakdown(gasCostBreakdownChart, sortedBills, labels, 'gas');
 
     // Cost per Degree Day (interpolate mild months, mark as approximate)
+    // Bills missing temperature, days or total are skipped, not interpolated.
+    // Each commodity's cost is divided by the degree days of its own service
+    // period, which is the cost per day over the degree days per day
     costPerDegreeDayChart.data.labels = labels;
-    const rawCostPerDD = sortedBills.map(b => {
-        const hdd = Math.max(0, 65 - b.averageDailyTemp) * b.servicePeriod.days;
-        const cdd = Math.max(0, b.averageDailyTemp - 65) * b.servicePeriod.days;
-        const totalDD = hdd + cdd;
-        return totalDD > 5 ? b.totalEnergyCharges / totalDD : null;
+    const billDegreeDays = sortedBills.map(degreeDays);
+    const isMissingDD = sortedBills.map((b, i) =>
+        billDegreeDays[i] === null || dailyCost(b) === null
+    );
+    const rawCostPerDD = sortedBills.map((b, i) => {
+        if (isMissingDD[i]) return null;
+        const { perDay, total } = billDegreeDays[i];
+        return total > 5 ? dailyCost(b) / perDay : null;
     });
-    const rawDegreeDays = sortedBills.map(b => {
-        const hdd = Math.max(0, 65 - b.averageDailyTemp) * b.servicePeriod.days;
-        const cdd = Math.max(0, b.averageDailyTemp - 65) * b.servicePeriod.days;
-        const totalDD = hdd + cdd;
-        return totalDD > 5 ? totalDD : null;
+    const rawDegreeDays = sortedBills.map((b, i) => {
+        if (isMissingDD[i]) return null;
+        const { total } = billDegreeDays[i];
+        return total > 5 ? total : null;
     });
-    // Linear interpolation for null gaps
+    // Linear interpolation for null gaps (mild months only)
     const interpolate = (arr) => {
         const result = [...arr];
         for (let i = 0; i < result.length; i++) {
-            if (result[i] !== null) continue;
+            if (result[i] !== null || isMissingDD[i]) continue;
             let prev = -1, next = -1;
             for (let j = i - 1; j >= 0; j--) { if (arr[j] !== null) { prev = j; break; } }
             for (let j = i + 1; j < arr.length; j++) { if (arr[j] !== null) { next = j; break; } }
@@ -928,7 +1454,7 @@ export function updateCharts(bills) {
         }
         return result;
     };
-    const isApprox = rawCostPerDD.map(v => v === null);
+    const isApprox = rawCostPerDD.map((v, i) => v === null && !isMissingDD[i]);
     costPerDegreeDayChart.data.datasets[0].data = interpolate(rawCostPerDD);
     costPerDegreeDayChart.data.datasets[1].data = interpolate(rawDegreeDays);
     // Style approximate points differently (hollow circles)
@@ -946,34 +1472,535 @@ export function updateCharts(bills) {
     // What You Paid vs What Energy Cost (markup)
     markupChart.data.labels = labels;
     markupChart.data.datasets[0].data = sortedBills.map(b =>
-        b.electricity.totalSupply + b.gas.totalSupply
+        sumKnown(b.electricity.totalSupply, b.gas.totalSupply)
     );
     markupChart.data.datasets[1].data = sortedBills.map(b =>
-        b.electricity.totalDelivery + b.gas.totalDelivery
+        sumKnown(b.electricity.totalDelivery, b.gas.totalDelivery)
     );
-    markupChart.data.datasets[2].data = sortedBills.map(b =>
-        b.electricity.totalTaxes + b.gas.totalTaxes
+    updateMarkupTaxes(sortedBills);
+
+    // Charges, Credits & Net Cost
+    creditsChart.data.labels = labels;
+    creditsChart.data.datasets[0].data = sortedBills.map(grossCharges);
+    creditsChart.data.datasets[1].data = sortedBills.map(b => {
+        const credits = creditTotal(b);
+        return credits !== null ? -credits : null;
+    });
+    creditsChart.data.datasets[2].data = sortedBills.map(netCost);
+    creditsChart._programs = sortedBills.map(describePrograms);
+    creditsChart.update();
+
+    // Payment Timeline
+    paymentTimelineChart.data.labels = labels;
+    paymentTimelineChart.data.datasets[0].data = sortedBills.map(b => b.amountDue);
+    paymentTimelineChart.data.datasets[1].data = sortedBills.map(b => b.accountActivity?.paymentsTotal ?? null);
+    paymentTimelineChart.data.datasets[2].data = sortedBills.map(b => b.accountActivity?.latePaymentCharges ?? null);
+    paymentTimelineChart._dueDates = sortedBills.map(b => b.accountActivity?.dueDate ?? null);
+    paymentTimelineChart.update();
+
+    // Budget Billing (only budget-billed bills have points)
+    budgetBillingChart.data.labels = labels;
+    budgetBillingChart.data.datasets[0].data = sortedBills.map(b => b.budgetBilling?.deferredBalance ?? null);
+    budgetBillingChart.data.datasets[1].data = sortedBills.map(b => b.budgetBilling?.installment ?? null);
+    budgetBillingChart.data.datasets[2].data = sortedBills.map(b => b.budgetBilling ? b.totalEnergyCharges : null);
+    budgetBillingChart._settlementMonths = sortedBills.map(b => b.budgetBilling?.settlementMonth ?? null);
+    budgetBillingChart.update();
+
+    // Time-of-Use (only TOU bills have points)
+    const timeOfUse = sortedBills.map(b => b.electricity.timeOfUse);
+    touUsageChart.data.labels = labels;
+    touUsageChart.data.datasets[0].data = timeOfUse.map(tou => tou?.onPeak.usage ?? null);
+    touUsageChart.data.datasets[1].data = timeOfUse.map(tou => tou?.offPeak.usage ?? null);
+    touUsageChart._periodRates = timeOfUse.map(tou => tou ? {
+        onPeak: sumKnown(tou.onPeak.rates.delivery, tou.onPeak.rates.supply) ?? 0,
+        offPeak: sumKnown(tou.offPeak.rates.delivery, tou.offPeak.rates.supply) ?? 0
+    } : null);
+    touUsageChart.update();
+
+    // Bills without a flat-rate bill to compare against are left out
+    const compared = timeOfUse.map(tou => tou && tou.flatRateCost !== null ? tou : null);
+    touComparisonChart.data.labels = labels;
+    touComparisonChart.data.datasets[0].data = sortedBills.map((b, i) => compared[i] ? b.electricity.totalCost : null);
+    touComparisonChart.data.datasets[1].data = compared.map(tou => tou?.flatRateCost ?? null);
+    touComparisonChart._comparisons = compared.map(tou => tou ? { savings: tou.savings, source: tou.flatRateSource } : null);
+    touComparisonChart.update();
+
+    // Therm Factor (the implied factor only where the bill printed both CCF and therms)
+    thermFactorChart.data.labels = labels;
+    thermFactorChart.data.datasets[0].data = sortedBills.map(b => b.gas.thermFactor);
+    thermFactorChart.data.datasets[1].data = sortedBills.map(b =>
+        b.gas.thermsDerived ? null : perUnit(b.gas.usageTherms, b.gas.usageCcf)
     );
-    markupChart.update();
+    thermFactorChart.update();
+
+    // Net Metering (only net-metered bills have points)
+    const netMetering = sortedBills.map(b => b.electricity.netMetering);
+    netMeteringChart.data.labels = labels;
+    netMeteringChart.data.datasets[0].data = netMetering.map(nm => nm?.delivered ?? null);
+    netMeteringChart.data.datasets[1].data = netMetering.map(nm => nm?.received ?? null);
+    netMeteringChart.data.datasets[2].data = netMetering.map(nm => nm?.banked ?? null);
+    netMeteringChart._credits = netMetering.map(nm => nm?.credit ?? null);
+    netMeteringChart.update();
 
     // Effective Rates (all-in $/unit)
+    // Net-metered bills are priced per kWh delivered, not the near-zero net kWh
     effectiveRatesChart.data.labels = labels;
     effectiveRatesChart.data.datasets[0].data = sortedBills.map(b =>
-        b.electricity.usage > 0 ? b.electricity.totalCost / b.electricity.usage : 0
+        perUnit(b.electricity.totalCost, b.electricity.netMetering?.delivered ?? b.electricity.usage)
     );
     effectiveRatesChart.data.datasets[1].data = sortedBills.map(b =>
-        b.gas.usageTherms > 0 ? b.gas.totalCost / b.gas.usageTherms : 0
+        perUnit(b.gas.totalCost, b.gas.usageTherms)
     );
     effectiveRatesChart.update();
 }
 
+/**
+ * Draw points from estimated meter reads as hollow triangles
+ * @param {Chart} chart - Usage chart
+ * @param {Array<boolean>} isEstimated - Per-bill estimated flags
+ * @param {string} color - Dataset color
+ */
+function styleEstimatedPoints(chart, isEstimated, color) {
+    const dataset = chart.data.datasets[0];
+    dataset.pointBackgroundColor = isEstimated.map(e => e ? 'white' : color);
+    dataset.pointBorderColor = color;
+    dataset.pointBorderWidth = isEstimated.map(e => e ? 2 : 1);
+    dataset.pointStyle = isEstimated.map(e => e ? 'triangle' : 'circle');
+    chart._estimatedPoints = isEstimated;
+}
+
+/**
+ * Style for the dataset of usage history months: hollow diamonds on a dotted
+ * line, so they read as backfill rather than billed figures
+ * @param {string} label - Legend label
+ * @param {string} color
+ * @returns {Object} Chart.js dataset
+ */
+function historyDataset(label, color) {
+    return {
+        label,
+        data: [],
+        borderColor: color,
+        backgroundColor: 'transparent',
+        pointBackgroundColor: 'white',
+        pointBorderColor: color,
+        pointBorderWidth: 2,
+        pointStyle: 'rectRot',
+        borderDash: [2, 4],
+        borderWidth: 1.5,
+        tension: 0.3,
+        pointRadius: 5,
+        pointHoverRadius: 7
+    };
+}
+
+/**
+ * Tooltip line for a usage history point, naming the usage month and the
+ * bill it was read from
+ * @param {Object} ctx - Tooltip item
+ * @param {string} value - Formatted value
+ * @returns {string}
+ */
+function historyTooltipLabel(ctx, value) {
+    const entry = ctx.chart._history?.[ctx.dataIndex];
+    if (!entry) return value;
+    return `${value} (${formatDateShort(entry.month)} usage, from ${entry.source} history)`;
+}
+
+/**
+ * Interleave bills with usage history months on one axis
+ * A history month sits where that month's bill would, one month after the
+ * usage month, since bills are labeled by statement date.
+ * @param {Array} sortedBills - Bills sorted by statement date
+ * @param {Array} history - Months from buildUsageHistory
+ * @returns {Array<{date: Date|null, label: string, billIndex: number|null, history: Object|null}>}
+ */
+function historyTimeline(sortedBills, history) {
+    const slots = sortedBills.map((bill, billIndex) => ({ date: bill.statementDate, billIndex, history: null }));
+    for (const entry of history) {
+        const date = new Date(entry.month.getFullYear(), entry.month.getMonth() + 1, 1);
+        slots.push({ date, billIndex: null, history: entry });
+    }
+
+    return slots
+        .sort((a, b) => {
+            if (!a.date || !b.date) return 0;
+            return a.date - b.date;
+        })
+        .map(slot => ({ ...slot, label: formatDateShort(slot.date) }));
+}
+
+/**
+ * Fill a chart on the history timeline
+ * Points carry their bill index (null for history months) so hover sync
+ * with the table still finds the right bill.
+ * @param {Chart} chart - Chart whose last dataset is the history dataset
+ * @param {Array} sortedBills - Bills sorted by statement date
+ * @param {Array} timeline - Slots from historyTimeline
+ * @param {Array<Function>} billValues - Value of each bill dataset, in dataset order
+ * @param {Function} historyValue - Value of a history month
+ */
+function updateHistoryChart(chart, sortedBills, timeline, billValues, historyValue) {
+    chart.data.labels = timeline.map(slot => slot.label);
+    billValues.forEach((value, datasetIndex) => {
+        chart.data.datasets[datasetIndex].data = timeline.map(slot => ({
+            x: slot.label,
+            y: slot.billIndex !== null ? value(sortedBills[slot.billIndex]) : null,
+            billIndex: slot.billIndex
+        }));
+    });
+    chart.data.datasets[billValues.length].data = timeline.map(slot => ({
+        x: slot.label,
+        y: slot.history ? historyValue(slot.history) : null,
+        billIndex: slot.billIndex
+    }));
+    chart._history = timeline.map(slot => slot.history);
+}
+
+/**
+ * Divide a value by a per-unit denominator, or null when either wasn't found
+ * or the denominator is zero, so the chart shows a gap
+ * @param {number|null} value
+ * @param {number|null} units
+ * @returns {number|null}
+ */
+function perUnit(value, units) {
+    if (value === null || units === null || units <= 0) return null;
+    return value / units;
+}
+
+/**
+ * Average cost per day, each commodity's charges spread over its own service period
+ * Charges outside both commodities (e.g. miscellaneous) use the bill's period,
+ * or the longest commodity period when the bill doesn't print its own.
+ * @param {Object} bill
+ * @returns {number|null} $/day, or null without the days to divide by
+ */
+function dailyCost(bill) {
+    if (bill.totalEnergyCharges === null) return null;
+
+    let perDay = 0;
+    let remaining = bill.totalEnergyCharges;
+    let longest = null;
+    for (const commodity of ['electricity', 'gas']) {
+        const cost = bill[commodity].totalCost;
+        const days = servicePeriodFor(bill, commodity).days;
+        if (cost === null || !days) continue;
+        perDay += cost / days;
+        remaining -= cost;
+        longest = Math.max(longest ?? 0, days);
+    }
+
+    if (Math.abs(remaining) >= 0.005) {
+        const rest = perUnit(remaining, bill.servicePeriod.days ?? longest);
+        if (rest === null) return null;
+        perDay += rest;
+    }
+    return perDay;
+}
+
+/**
+ * Heating plus cooling degree days (base 65°F) over a bill's service
+ * Each service is counted over its own period; the total is over the
+ * longest of them, so it spans every day the bill's charges cover.
+ * @param {Object} bill
+ * @returns {{perDay: number, total: number}|null} null without a temperature
+ *     or any service days
+ */
+function degreeDays(bill) {
+    if (bill.averageDailyTemp === null) return null;
+
+    const days = ['electricity', 'gas']
+        .filter(commodity => bill.services[commodity])
+        .map(commodity => servicePeriodFor(bill, commodity).days)
+        .filter(Boolean);
+    if (days.length === 0) return null;
+
+    const perDay = Math.max(0, 65 - bill.averageDailyTemp) + Math.max(0, bill.averageDailyTemp - 65);
+    return { perDay, total: perDay * Math.max(...days) };
+}
+
+/**
+ * Add values that may be missing, or null when all of them are
+ * @param {...(number|null)} values
+ * @returns {number|null}
+ */
+function sumKnown(...values) {
+    const known = values.filter(v => v !== null && v !== undefined);
+    return known.length > 0 ? known.reduce((sum, v) => sum + v, 0) : null;
+}
+
+/**
+ * Tooltip title for rate charts: the bill label, or the effective date in step mode
+ * @param {Array} items - Tooltip items
+ * @returns {string}
+ */
+function rateTooltipTitle(items) {
+    const raw = items[0]?.raw;
+    return raw && typeof raw === 'object' ? `From ${formatDate(new Date(raw.x))}` : items[0]?.label;
+}
+
+/**
+ * Tooltip label for rate charts, naming the supplier on supply rate points
+ * @param {Object} ctx - Tooltip item
+ * @returns {string}
+ */
+function rateTooltipLabel(ctx) {
+    const supplier = ctx.datasetIndex === 0 ? ctx.chart._supplierNames?.[ctx.dataIndex] : null;
+    return supplier ? `${ctx.dataset.label} (${supplier})` : ctx.dataset.label;
+}
+
+/**
+ * Color the supply rate line and points by supplier
+ * The utility keeps the dataset's own color; each ESCO gets a palette color.
+ * @param {Chart} chart - Electricity or gas rates chart
+ * @param {Array} sortedBills - Bills sorted by statement date
+ * @param {string} commodity - 'electricity' or 'gas'
+ * @param {boolean} stepped - Whether the chart is in step mode
+ */
+function colorBySupplier(chart, sortedBills, commodity, stepped) {
+    const dataset = chart.data.datasets[0];
+    const baseColor = commodity === 'electricity' ? colors.electric.supply : colors.gas.supply;
+
+    const escoColors = new Map();
+    const billColors = sortedBills.map(b => {
+        const supplier = b[commodity].supplier;
+        if (supplier?.type !== 'esco') return baseColor;
+        if (!escoColors.has(supplier.name)) {
+            escoColors.set(supplier.name, supplierPalette[escoColors.size % supplierPalette.length]);
+        }
+        return escoColors.get(supplier.name);
+    });
+
+    const billIndexAt = (i) => {
+        const point = dataset.data[i];
+        return point && typeof point === 'object' ? point.billIndex : i;
+    };
+
+    dataset.pointBackgroundColor = dataset.data.map((_, i) => billColors[billIndexAt(i)]);
+    // A step runs forward from its point; a per-bill line leads into the bill it belongs to
+    dataset.segment = {
+        borderColor: (ctx) => billColors[billIndexAt(stepped ? ctx.p0DataIndex : ctx.p1DataIndex)]
+    };
+    chart._supplierNames = dataset.data.map((_, i) => {
+        const supplier = sortedBills[billIndexAt(i)]?.[commodity].supplier;
+        return supplier?.type === 'esco' ? supplier.name : null;
+    });
+}
+
+/**
+ * Build step-line points for one rate, one point per rate segment at its effective date
+ * Bills without month-split segments contribute their single rate from the
+ * start of their service period.
+ * @param {Array} sortedBills - Bills sorted by statement date
+ * @param {string} commodity - 'electricity' or 'gas'
+ * @param {string} name - Rate name ('supply' or 'delivery')
+ * @returns {Array<{x: number, y: number, billIndex: number}>}
+ */
+function rateStepPoints(sortedBills, commodity, name) {
+    const points = [];
+
+    sortedBills.forEach((bill, billIndex) => {
+        const segments = (bill[commodity].rateSegments?.[name] || []).filter(seg => seg.start);
+        if (segments.length > 0) {
+            for (const seg of segments) {
+                points.push({ x: seg.start.getTime(), y: seg.rate, billIndex });
+            }
+        } else {
+            const start = servicePeriodFor(bill, commodity).start || bill.statementDate;
+            if (start && bill[commodity][`${name}Rate`] !== null) {
+                points.push({ x: start.getTime(), y: bill[commodity][`${name}Rate`], billIndex });
+            }
+        }
+    });
+
+    // Carry the last rate through to the end of the last service period
+    const lastEnd = sortedBills.length > 0 ? servicePeriodFor(sortedBills[sortedBills.length - 1], commodity).end : null;
+    if (points.length > 0 && lastEnd) {
+        const last = points[points.length - 1];
+        points.push({ x: lastEnd.getTime(), y: last.y, billIndex: last.billIndex });
+    }
+
+    return points.sort((a, b) => a.x - b.x);
+}
+
+/**
+ * Fill a rate chart with either one rate per bill or a step line of rate segments
+ * @param {Chart} chart - Electricity or gas rates chart
+ * @param {Array} sortedBills - Bills sorted by statement date
+ * @param {Array<string>} labels - Chart labels
+ * @param {string} commodity - 'electricity' or 'gas'
+ */
+function updateRateChart(chart, sortedBills, labels, commodity) {
+    const [supplyDataset, deliveryDataset] = chart.data.datasets;
+
+    if (!rateSteps[commodity]) {
+        chart.data.labels = labels;
+        supplyDataset.data = sortedBills.map(b => b[commodity].supplyRate);
+        deliveryDataset.data = sortedBills.map(b => b[commodity].deliveryRate);
+        chart.options.scales.x = { ...commonOptions.scales.x };
+    } else {
+        chart.data.labels = [];
+        supplyDataset.data = rateStepPoints(sortedBills, commodity, 'supply');
+        deliveryDataset.data = rateStepPoints(sortedBills, commodity, 'delivery');
+        chart.options.scales.x = {
+            ...commonOptions.scales.x,
+            type: 'linear',
+            ticks: {
+                ...commonOptions.scales.x.ticks,
+                callback: (value) => formatDateShort(new Date(value))
+            }
+        };
+    }
+
+    for (const dataset of [supplyDataset, deliveryDataset]) {
+        dataset.stepped = rateSteps[commodity] ? 'after' : false;
+        dataset.tension = rateSteps[commodity] ? 0 : 0.3;
+    }
+    colorBySupplier(chart, sortedBills, commodity, rateSteps[commodity]);
+
+    chart.update();
+}
+
+/**
+ * Switch a rate chart between per-bill rates and a step line at rate effective dates
+ * @param {string} commodity - 'electricity' or 'gas'
+ * @param {boolean} enabled - True to draw the step line
+ */
+export function setRateSteps(commodity, enabled) {
+    rateSteps[commodity] = enabled;
+    const chart = commodity === 'electricity' ? electricityRatesChart : gasRatesChart;
+    const labels = currentBills.map(bill => formatDateShort(bill.statementDate));
+    updateRateChart(chart, currentBills, labels, commodity);
+}
+
+/**
+ * Find the bill a chart element belongs to
+ * Points on date-axis step lines carry their bill index; everything else is one point per bill.
+ * @param {Chart} chart - Chart instance
+ * @param {{datasetIndex: number, index: number}} element - Active element
+ * @returns {number}
+ */
+export function getBillIndex(chart, element) {
+    const point = chart.data.datasets[element.datasetIndex]?.data[element.index];
+    return point && typeof point === 'object' && 'billIndex' in point ? point.billIndex : element.index;
+}
+
+/**
+ * Fill a cost breakdown chart with either section subtotals or individual line items
+ * @param {Chart} chart - Electric or gas cost breakdown chart
+ * @param {Array} sortedBills - Bills sorted by statement date
+ * @param {Array<string>} labels - Chart labels
+ * @param {string} commodity - 'electricity' or 'gas'
+ */
+function updateCostBreakdown(chart, sortedBills, labels, commodity) {
+    chart.data.labels = labels;
+
+    if (!breakdownDetail[commodity]) {
+        const palette = commodity === 'electricity' ? colors.electric : colors.gas;
+        chart.data.datasets = [
+            { label: 'Delivery', data: sortedBills.map(b => b[commodity].totalDelivery), backgroundColor: palette.delivery, stack: 'stack' },
+            { label: 'Supply', data: sortedBills.map(b => b[commodity].totalSupply), backgroundColor: palette.supply, stack: 'stack' },
+            { label: 'Taxes', data: sortedBills.map(b => b[commodity].totalTaxes), backgroundColor: colors.taxes.main, stack: 'stack' }
+        ];
+    } else {
+        const sectionCounts = {};
+        chart.data.datasets = listLineItemTypes(sortedBills)
+            .filter(type => type.commodity === commodity)
+            .map(type => {
+                const shades = lineItemPalette[type.section];
+                const shadeIndex = sectionCounts[type.section] = (sectionCounts[type.section] ?? -1) + 1;
+                return {
+                    label: type.description,
+                    data: sortedBills.map(b => lineItemTotal(b, type.key) ?? 0),
+                    backgroundColor: shades[shadeIndex % shades.length],
+                    stack: 'stack'
+                };
+            });
+    }
+
+    chart.update();
+}
+
+/**
+ * A bill's taxes & fees split into TAX_CATEGORIES, both commodities together
+ * A commodity whose tax rows weren't itemized counts its subtotal as other.
+ * @param {Object} bill
+ * @returns {Object} Amount per category key, null where neither commodity has any
+ */
+function taxParts(bill) {
+    const parts = Object.fromEntries(TAX_CATEGORIES.map(({ key }) => [key, null]));
+    for (const commodity of ['electricity', 'gas']) {
+        const { taxBreakdown, totalTaxes } = bill[commodity];
+        if (taxBreakdown) {
+            for (const { key } of TAX_CATEGORIES) {
+                parts[key] = sumKnown(parts[key], taxBreakdown[key]);
+            }
+        } else if (totalTaxes !== null) {
+            parts.other = sumKnown(parts.other, totalTaxes);
+        }
+    }
+    return parts;
+}
+
+/**
+ * Fill the markup chart's taxes & fees, as one series or one per tax category
+ * @param {Array} sortedBills
+ */
+function updateMarkupTaxes(sortedBills) {
+    const datasets = markupChart.data.datasets.slice(0, 2);
+    if (!taxDetail) {
+        datasets.push({
+            label: 'Taxes & Fees',
+            data: sortedBills.map(b => sumKnown(b.electricity.totalTaxes, b.gas.totalTaxes)),
+            backgroundColor: colors.taxes.main,
+            stack: 'stack'
+        });
+    } else {
+        const parts = sortedBills.map(taxParts);
+        TAX_CATEGORIES.forEach(({ key, label }, i) => {
+            datasets.push({
+                label,
+                data: parts.map(part => part[key]),
+                backgroundColor: lineItemPalette.taxes[i % lineItemPalette.taxes.length],
+                stack: 'stack'
+            });
+        });
+    }
+
+    markupChart.data.datasets = datasets;
+    markupChart.update();
+}
+
+/**
+ * Switch the markup chart between one taxes & fees series and its parts
+ * @param {boolean} enabled - True to split taxes & fees by category
+ */
+export function setTaxDetail(enabled) {
+    taxDetail = enabled;
+    updateMarkupTaxes(currentBills);
+}
+
+/**
+ * Switch a cost breakdown chart between section subtotals and individual line items
+ * @param {string} commodity - 'electricity' or 'gas'
+ * @param {boolean} enabled - True to show line items
+ */
+export function setBreakdownDetail(commodity, enabled) {
+    breakdownDetail[commodity] = enabled;
+    const chart = commodity === 'electricity' ? electricCostBreakdownChart : gasCostBreakdownChart;
+    updateCostBreakdown(chart, currentBills, chart.data.labels, commodity);
+}
+
 /**
  * Clear all chart data
  */
 export function clearCharts() {
     const charts = getAllCharts();
+    currentBills = [];
 
     for (const chart of charts) {
+        chart._classChanges = [];
         chart.data.labels = [];
         for (const dataset of chart.data.datasets) {
             dataset.data = [];
@@ -991,11 +2018,16 @@ export function highlightDataPoint(index) {
 
     for (const chart of charts) {
         if (index !== null && chart.data.datasets.length > 0) {
-            // Create active elements for ALL datasets in the chart
-            const activeElements = chart.data.datasets.map((_, datasetIndex) => ({
-                datasetIndex,
-                index
-            }));
+            // Create active elements for ALL datasets in the chart, mapping the
+            // bill index to its first point on date-axis step lines
+            const activeElements = chart.data.datasets
+                .map((dataset, datasetIndex) => {
+                    const pointIndex = dataset.data.findIndex(point => point?.billIndex === index);
+                    return { datasetIndex, index: pointIndex >= 0 ? pointIndex : index };
+                })
+                .filter(({ datasetIndex, index: pointIndex }) => pointIndex < chart.data.datasets[datasetIndex].data.length)
+                // Skip gaps, e.g. a bill's slot in the usage history dataset
+                .filter(({ datasetIndex, index: pointIndex }) => chart.data.datasets[datasetIndex].data[pointIndex]?.y !== null);
 
             chart.setActiveElements(activeElements);
             chart.tooltip.setActiveElements(activeElements, { x: 0, y: 0 });
@@ -1023,7 +2055,14 @@ function getAllCharts() {
         gasCostBreakdownChart,
         effectiveRatesChart,
         costPerDegreeDayChart,
-        markupChart
+        markupChart,
+        creditsChart,
+        paymentTimelineChart,
+        budgetBillingChart,
+        touUsageChart,
+        touComparisonChart,
+        netMeteringChart,
+        thermFactorChart
     ];
 }
 
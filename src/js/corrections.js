@@ -0,0 +1,127 @@
+/**
+ * Corrections Module
+ * Manual fixes for fields the extractor got wrong, kept as an overlay so the
+ * parsed value is never lost
+ *
+ * The bill itself holds the corrected value, so charts, summaries and export
+ * pick it up unchanged. bill.corrections keeps, per field path,
+ * {original, value, missing}: the parsed value, the correction, and the
+ * reason the field was missing when it wasn't found at all.
+ *
+ * A commodity billed over the bill's own service period shares its day
+ * count, so correcting the bill's days corrects theirs too; per-day figures
+ * read the commodity's period.
+ */
+
+import { getField, sharesBillPeriod } from './bill-schema.js';
+
+/**
+ * Set a field by path
+ * @param {Object} obj
+ * @param {string} path - e.g. "electricity.usage"
+ * @param {*} value
+ */
+function setField(obj, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    keys.reduce((target, key) => target[key], obj)[last] = value;
+}
+
+/**
+ * The field path, plus commodity fields that follow it
+ * @param {Object} bill - Extracted bill
+ * @param {string} path - Field path
+ * @returns {Array<string>}
+ */
+function linkedPaths(bill, path) {
+    if (path !== 'servicePeriod.days') return [path];
+    const commodities = ['electricity', 'gas']
+        .filter(commodity => bill[commodity].servicePeriod.start && sharesBillPeriod(bill, commodity));
+    return [path, ...commodities.map(commodity => `${commodity}.servicePeriod.days`)];
+}
+
+/**
+ * Parse a value typed into a table cell
+ * Accepts "1,234", "$314.97" and "0.07894".
+ * @param {string} input - Text the user entered
+ * @returns {number|null} The number, or null if the text isn't one
+ */
+export function parseCorrection(input) {
+    const cleaned = input.replace(/[$,\s]/g, '');
+    if (!/^-?(?:\d+\.?\d*|\.\d+)$/.test(cleaned)) return null;
+    return parseFloat(cleaned);
+}
+
+/**
+ * Correct a field, keeping the parsed value in the overlay
+ * Correcting a field back to its parsed value removes the correction.
+ * @param {Object} bill - Extracted bill
+ * @param {string} path - Field path
+ * @param {number} value - Corrected value
+ */
+export function correctField(bill, path, value) {
+    for (const linked of linkedPaths(bill, path)) {
+        applyCorrection(bill, linked, value);
+    }
+}
+
+/**
+ * Undo a correction, restoring the parsed value
+ * @param {Object} bill - Extracted bill
+ * @param {string} path - Field path
+ */
+export function revertField(bill, path) {
+    for (const linked of linkedPaths(bill, path)) {
+        undoCorrection(bill, linked);
+    }
+}
+
+/**
+ * Correct a single field
+ * @param {Object} bill - Extracted bill
+ * @param {string} path - Field path
+ * @param {number} value - Corrected value
+ */
+function applyCorrection(bill, path, value) {
+    const existing = bill.corrections[path];
+    const original = existing ? existing.original : getField(bill, path);
+    if (value === original) {
+        undoCorrection(bill, path);
+        return;
+    }
+
+    bill.corrections[path] = {
+        original,
+        value,
+        missing: existing ? existing.missing : (bill.missing[path] ?? null)
+    };
+    setField(bill, path, value);
+    delete bill.missing[path];
+}
+
+/**
+ * Undo a single field's correction
+ * @param {Object} bill - Extracted bill
+ * @param {string} path - Field path
+ */
+function undoCorrection(bill, path) {
+    const correction = bill.corrections[path];
+    if (!correction) return;
+
+    setField(bill, path, correction.original);
+    if (correction.missing !== null) {
+        bill.missing[path] = correction.missing;
+    }
+    delete bill.corrections[path];
+}
+
+/**
+ * Describe a bill's corrections, e.g. for export
+ * @param {Object} bill - Extracted bill
+ * @returns {string} e.g. "electricity.usage: 3909 (parsed 3990)", one per correction
+ */
+export function describeCorrections(bill) {
+    return Object.entries(bill.corrections ?? {})
+        .map(([path, { original, value }]) => `${path}: ${value} (parsed ${original ?? 'missing'})`)
+        .join('; ');
+}
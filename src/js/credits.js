@@ -0,0 +1,70 @@
+/**
+ * Credits Module
+ * Energy assistance, discounts and one-off credits, and the gross charges and
+ * net cost either side of them
+ *
+ * bill.credits.items holds each credit or program line as printed, credits
+ * negative. Lines in a charge section (inCharges) are already netted into
+ * the bill's totals, so gross charges add them back; the rest, such as HEAP
+ * payments, come off the total charges to give what the household bears.
+ */
+
+// Display names for the programs a bill can mention
+export const CREDIT_PROGRAMS = {
+    lowIncome: 'Low-income discount',
+    heap: 'HEAP',
+    projectShare: 'Project SHARE',
+    billCredit: 'Bill credit'
+};
+
+/**
+ * Add up a bill's credits
+ * @param {Object} bill - Extracted bill
+ * @param {Function} [filter] - Which credit items to count
+ * @returns {number} Total credited, as a positive amount
+ */
+function sumCredits(bill, filter = () => true) {
+    return (bill.credits?.items ?? [])
+        .filter(item => item.amount < 0 && filter(item))
+        .reduce((sum, item) => sum - item.amount, 0);
+}
+
+/**
+ * Total assistance and bill credits on a bill
+ * Positive lines, such as Project SHARE contributions, aren't credits.
+ * @param {Object} bill - Extracted bill
+ * @returns {number|null} Positive amount, or null when the bill has no credits
+ */
+export function creditTotal(bill) {
+    if (!(bill.credits?.items ?? []).some(item => item.amount < 0)) return null;
+    return Math.round(sumCredits(bill) * 100) / 100;
+}
+
+/**
+ * What the bill's charges come to before any credit
+ * @param {Object} bill - Extracted bill
+ * @returns {number|null} null when the bill's total wasn't found
+ */
+export function grossCharges(bill) {
+    if (bill.totalEnergyCharges === null) return null;
+    return Math.round((bill.totalEnergyCharges + sumCredits(bill, item => item.inCharges)) * 100) / 100;
+}
+
+/**
+ * What the household bears after every credit, i.e. gross charges less credits
+ * @param {Object} bill - Extracted bill
+ * @returns {number|null} null when the bill's total wasn't found
+ */
+export function netCost(bill) {
+    if (bill.totalEnergyCharges === null) return null;
+    return Math.round((bill.totalEnergyCharges - sumCredits(bill, item => !item.inCharges)) * 100) / 100;
+}
+
+/**
+ * Name the programs a bill mentions
+ * @param {Object} bill - Extracted bill
+ * @returns {string} e.g. "HEAP, Project SHARE", or '' when there are none
+ */
+export function describePrograms(bill) {
+    return (bill.credits?.programs ?? []).map(key => CREDIT_PROGRAMS[key]).join(', ');
+}
@@ -3,6 +3,14 @@
  * Generates and downloads CSV files from bill data
  */
 
+import { describeCorrections } from './corrections.js';
+import { creditTotal, grossCharges, netCost, describePrograms } from './credits.js';
+import { formatServiceClass } from './service-class.js';
+import { servicePeriodFor, listLineItemTypes, lineItemTotal, TAX_CATEGORIES, COMMODITY_LABELS, SECTION_LABELS } from './bill-schema.js';
+
+// How therms were worked out for bills that only print CCF
+const THERMS_DERIVED_LABELS = { factor: 'CCF × bill factor', typical: 'CCF × typical factor' };
+
 /**
  * Format a date for CSV export
  * @param {Date} date
@@ -13,6 +21,27 @@ function formatDateCSV(date) {
     return date.toISOString().split('T')[0];
 }
 
+/**
+ * Format a number for CSV export, leaving the cell empty when the value wasn't found
+ * @param {number|null} value
+ * @param {number} digits - Decimal places
+ * @returns {string}
+ */
+function formatNumberCSV(value, digits) {
+    if (value === null || value === undefined) return '';
+    return value.toFixed(digits);
+}
+
+/**
+ * Add up a time-of-use period's delivery and supply values
+ * @param {{delivery: number|null, supply: number|null}|undefined} values - Period rates or charges
+ * @returns {number|null} Sum, or null when the bill isn't time-of-use or neither was priced
+ */
+function periodTotal(values) {
+    if (!values || (values.delivery === null && values.supply === null)) return null;
+    return (values.delivery ?? 0) + (values.supply ?? 0);
+}
+
 /**
  * Escape a value for CSV (handle commas, quotes, newlines)
  * @param {any} value
@@ -27,13 +56,48 @@ function escapeCSV(value) {
     return str;
 }
 
+/**
+ * Service start, end and days for one commodity's columns
+ * @param {Object} bill
+ * @param {string} commodity - 'electricity' or 'gas'
+ * @returns {Array} Blank for a service the bill doesn't cover
+ */
+function commodityPeriod(bill, commodity) {
+    if (!bill.services[commodity]) return ['', '', ''];
+    const period = servicePeriodFor(bill, commodity);
+    return [formatDateCSV(period.start), formatDateCSV(period.end), period.days];
+}
+
+/**
+ * Headers for one commodity's tax category columns
+ * @param {string} commodity - 'electricity' or 'gas'
+ * @returns {Array<string>} e.g. "Electric Sales Tax ($)"
+ */
+function taxBreakdownHeaders(commodity) {
+    return TAX_CATEGORIES.map(({ label }) => `${COMMODITY_LABELS[commodity]} ${label} ($)`);
+}
+
+/**
+ * Tax category amounts for one commodity's columns
+ * @param {Object} bill
+ * @param {string} commodity - 'electricity' or 'gas'
+ * @returns {Array<string>} Blank where the bill doesn't itemize that category
+ */
+function taxBreakdownValues(bill, commodity) {
+    const breakdown = bill[commodity].taxBreakdown;
+    return TAX_CATEGORIES.map(({ key }) => formatNumberCSV(breakdown?.[key], 2));
+}
+
 /**
  * Generate CSV content from bill data
  * @param {Array} bills - Array of extracted bill data
  * @param {Object} accountInfo - Account information
+ * @param {Object} [options]
+ * @param {boolean} [options.accountColumn] - Start each row with the bill's account
+ *     number and service address, for exports covering several accounts
  * @returns {string} CSV content
  */
-export function generateCSV(bills, accountInfo = {}) {
+export function generateCSV(bills, accountInfo = {}, { accountColumn = false } = {}) {
     // Sort bills by statement date
     const sortedBills = [...bills].sort((a, b) => {
         if (!a.statementDate || !b.statementDate) return 0;
@@ -43,11 +107,18 @@ export function generateCSV(bills, accountInfo = {}) {
     // Define CSV headers
     const headers = [
         'Statement Date',
+        'Utility',
+        'Bill Layout',
         'Service Start',
         'Service End',
         'Days',
         'Avg Daily Temp (°F)',
         // Electricity
+        'Electric Service Start',
+        'Electric Service End',
+        'Electric Days',
+        'Electric Service Class',
+        'Electric Rate Plan',
         'Electric kWh',
         'Electric Basic Service ($)',
         'Electric Delivery Rate ($/kWh)',
@@ -56,69 +127,178 @@ export function generateCSV(bills, accountInfo = {}) {
         'Electric Transition ($)',
         'Electric SBC Rate ($/kWh)',
         'Electric SBC ($)',
+        'Electric Supplier',
         'Electric Supply Rate ($/kWh)',
         'Electric Supply ($)',
         'Electric Delivery Total ($)',
         'Electric Supply Total ($)',
         'Electric Taxes ($)',
+        ...taxBreakdownHeaders('electricity'),
         'Electric Total ($)',
+        'Electric On-Peak kWh',
+        'Electric Off-Peak kWh',
+        'Electric On-Peak Rate ($/kWh)',
+        'Electric Off-Peak Rate ($/kWh)',
+        'Electric On-Peak Charges ($)',
+        'Electric Off-Peak Charges ($)',
+        'Electric Flat Rate Estimate ($)',
+        'Electric TOU Savings ($)',
+        'Electric kWh Delivered',
+        'Electric kWh Received',
+        'Electric Net kWh',
+        'Electric Banked kWh',
+        'Electric Net Metering Credit ($)',
         // Gas
+        'Gas Service Start',
+        'Gas Service End',
+        'Gas Days',
+        'Gas Service Class',
+        'Gas Rate Plan',
         'Gas CCF',
         'Gas Therms',
+        'Gas Therm Factor (therms/CCF)',
+        'Gas Therms Derived',
         'Gas Basic Service ($)',
         'Gas Delivery Rate ($/therm)',
         'Gas Delivery ($)',
+        'Gas Supplier',
         'Gas Supply Rate ($/therm)',
         'Gas Supply ($)',
         'Gas Delivery Total ($)',
         'Gas Supply Total ($)',
         'Gas Taxes ($)',
+        ...taxBreakdownHeaders('gas'),
         'Gas Total ($)',
         // Totals
         'Miscellaneous Charges ($)',
         'Total Charges ($)',
-        'Amount Due ($)'
+        'Amount Due ($)',
+        // Credits and assistance
+        'Gross Charges ($)',
+        'Credits & Assistance ($)',
+        'Net Cost ($)',
+        'Assistance Programs',
+        // Account activity
+        'Due Date',
+        'Previous Balance ($)',
+        'Payments Received ($)',
+        'Payment Dates',
+        'Adjustments ($)',
+        'Late Payment Charges ($)',
+        'Balance Forward ($)',
+        // Budget billing
+        'Budget Installment ($)',
+        'Budget Deferred Balance ($)',
+        'Budget Settlement Month',
+        'Corrected Fields'
     ];
 
+    // One column per kind of line item seen in any bill, so riders can be compared across bills
+    const lineItemTypes = listLineItemTypes(sortedBills);
+    for (const type of lineItemTypes) {
+        headers.push(`${COMMODITY_LABELS[type.commodity]} ${SECTION_LABELS[type.section]}: ${type.description} ($)`);
+    }
+
+    if (accountColumn) {
+        headers.unshift('Account Number', 'Service Address');
+    }
+
     // Build CSV rows
-    const rows = sortedBills.map(bill => [
-        formatDateCSV(bill.statementDate),
-        formatDateCSV(bill.servicePeriod.start),
-        formatDateCSV(bill.servicePeriod.end),
-        bill.servicePeriod.days,
-        bill.averageDailyTemp !== null ? bill.averageDailyTemp : '',
-        // Electricity
-        bill.electricity.usage,
-        bill.electricity.basicServiceCharge.toFixed(2),
-        bill.electricity.deliveryRate.toFixed(6),
-        bill.electricity.deliveryCharge.toFixed(2),
-        bill.electricity.transitionRate.toFixed(7),
-        bill.electricity.transitionCharge.toFixed(2),
-        bill.electricity.sbcRate.toFixed(6),
-        bill.electricity.sbcCharge.toFixed(2),
-        bill.electricity.supplyRate.toFixed(8),
-        bill.electricity.supplyCharge.toFixed(2),
-        bill.electricity.totalDelivery.toFixed(2),
-        bill.electricity.totalSupply.toFixed(2),
-        bill.electricity.totalTaxes.toFixed(2),
-        bill.electricity.totalCost.toFixed(2),
-        // Gas
-        bill.gas.usageCcf.toFixed(1),
-        bill.gas.usageTherms.toFixed(2),
-        bill.gas.basicServiceCharge.toFixed(2),
-        bill.gas.deliveryRate.toFixed(5),
-        bill.gas.deliveryCharge.toFixed(2),
-        bill.gas.supplyRate.toFixed(6),
-        bill.gas.supplyCharge.toFixed(2),
-        bill.gas.totalDelivery.toFixed(2),
-        bill.gas.totalSupply.toFixed(2),
-        bill.gas.totalTaxes.toFixed(2),
-        bill.gas.totalCost.toFixed(2),
-        // Totals
-        bill.miscellaneousCharges.toFixed(2),
-        bill.totalEnergyCharges.toFixed(2),
-        bill.amountDue.toFixed(2)
-    ]);
+    const rows = sortedBills.map(bill => {
+        const tou = bill.electricity.timeOfUse;
+        const netMetering = bill.electricity.netMetering;
+        const account = accountColumn ? [bill.account?.accountNumber ?? '', bill.account?.serviceAddress ?? ''] : [];
+        return [
+            ...account,
+            formatDateCSV(bill.statementDate),
+            bill.utility?.name ?? '',
+            bill.layout?.label ?? '',
+            formatDateCSV(bill.servicePeriod.start),
+            formatDateCSV(bill.servicePeriod.end),
+            bill.servicePeriod.days,
+            bill.averageDailyTemp !== null ? bill.averageDailyTemp : '',
+            // Electricity
+            ...commodityPeriod(bill, 'electricity'),
+            formatServiceClass(bill.electricity.serviceClass),
+            bill.electricity.ratePlan ?? '',
+            bill.electricity.usage,
+            formatNumberCSV(bill.electricity.basicServiceCharge, 2),
+            formatNumberCSV(bill.electricity.deliveryRate, 6),
+            formatNumberCSV(bill.electricity.deliveryCharge, 2),
+            formatNumberCSV(bill.electricity.transitionRate, 7),
+            formatNumberCSV(bill.electricity.transitionCharge, 2),
+            formatNumberCSV(bill.electricity.sbcRate, 6),
+            formatNumberCSV(bill.electricity.sbcCharge, 2),
+            bill.electricity.supplier?.name ?? '',
+            formatNumberCSV(bill.electricity.supplyRate, 8),
+            formatNumberCSV(bill.electricity.supplyCharge, 2),
+            formatNumberCSV(bill.electricity.totalDelivery, 2),
+            formatNumberCSV(bill.electricity.totalSupply, 2),
+            formatNumberCSV(bill.electricity.totalTaxes, 2),
+            ...taxBreakdownValues(bill, 'electricity'),
+            formatNumberCSV(bill.electricity.totalCost, 2),
+            tou?.onPeak.usage ?? '',
+            tou?.offPeak.usage ?? '',
+            formatNumberCSV(periodTotal(tou?.onPeak.rates), 6),
+            formatNumberCSV(periodTotal(tou?.offPeak.rates), 6),
+            formatNumberCSV(periodTotal(tou?.onPeak.charges), 2),
+            formatNumberCSV(periodTotal(tou?.offPeak.charges), 2),
+            formatNumberCSV(tou?.flatRateCost, 2),
+            formatNumberCSV(tou?.savings, 2),
+            netMetering?.delivered ?? '',
+            netMetering?.received ?? '',
+            netMetering?.net ?? '',
+            netMetering?.banked ?? '',
+            formatNumberCSV(netMetering?.credit, 2),
+            // Gas
+            ...commodityPeriod(bill, 'gas'),
+            formatServiceClass(bill.gas.serviceClass),
+            bill.gas.ratePlan ?? '',
+            formatNumberCSV(bill.gas.usageCcf, 1),
+            formatNumberCSV(bill.gas.usageTherms, 2),
+            formatNumberCSV(bill.gas.thermFactor, 4),
+            THERMS_DERIVED_LABELS[bill.gas.thermsDerived] ?? '',
+            formatNumberCSV(bill.gas.basicServiceCharge, 2),
+            formatNumberCSV(bill.gas.deliveryRate, 5),
+            formatNumberCSV(bill.gas.deliveryCharge, 2),
+            bill.gas.supplier?.name ?? '',
+            formatNumberCSV(bill.gas.supplyRate, 6),
+            formatNumberCSV(bill.gas.supplyCharge, 2),
+            formatNumberCSV(bill.gas.totalDelivery, 2),
+            formatNumberCSV(bill.gas.totalSupply, 2),
+            formatNumberCSV(bill.gas.totalTaxes, 2),
+            ...taxBreakdownValues(bill, 'gas'),
+            formatNumberCSV(bill.gas.totalCost, 2),
+            // Totals
+            formatNumberCSV(bill.miscellaneousCharges, 2),
+            formatNumberCSV(bill.totalEnergyCharges, 2),
+            formatNumberCSV(bill.amountDue, 2),
+            // Credits and assistance
+            formatNumberCSV(grossCharges(bill), 2),
+            formatNumberCSV(creditTotal(bill), 2),
+            formatNumberCSV(netCost(bill), 2),
+            describePrograms(bill),
+            // Account activity
+            formatDateCSV(bill.accountActivity?.dueDate),
+            formatNumberCSV(bill.accountActivity?.previousBalance, 2),
+            formatNumberCSV(bill.accountActivity?.paymentsTotal, 2),
+            (bill.accountActivity?.payments || []).map(p => formatDateCSV(p.date)).filter(Boolean).join(' '),
+            formatNumberCSV(bill.accountActivity?.adjustments, 2),
+            formatNumberCSV(bill.accountActivity?.latePaymentCharges, 2),
+            formatNumberCSV(bill.accountActivity?.balanceForward, 2),
+            // Budget billing
+            formatNumberCSV(bill.budgetBilling?.installment, 2),
+            formatNumberCSV(bill.budgetBilling?.deferredBalance, 2),
+            bill.budgetBilling?.settlementMonth ?? '',
+            // Manual corrections, with the values they replaced
+            describeCorrections(bill),
+            // Line items (blank when the bill doesn't have that item)
+            ...lineItemTypes.map(type => {
+                const total = lineItemTotal(bill, type.key);
+                return total !== null ? total.toFixed(2) : '';
+            })
+        ];
+    });
 
     // Build account info section
     const accountSection = [];
@@ -133,6 +313,9 @@ export function generateCSV(bills, accountInfo = {}) {
         if (accountInfo.serviceAddress) {
             accountSection.push(`Service Address,${escapeCSV(accountInfo.serviceAddress)}`);
         }
+        if (accountInfo.mailingAddress) {
+            accountSection.push(`Mailing Address,${escapeCSV(accountInfo.mailingAddress)}`);
+        }
         accountSection.push(''); // Empty line before data
     }
 
@@ -151,9 +334,10 @@ export function generateCSV(bills, accountInfo = {}) {
  * @param {Array} bills - Array of extracted bill data
  * @param {string} filename - Desired filename (without extension)
  * @param {Object} accountInfo - Account information
+ * @param {Object} [options] - See generateCSV
  */
-export function downloadCSV(bills, filename = 'nyseg-bills', accountInfo = {}) {
-    const csvContent = generateCSV(bills, accountInfo);
+export function downloadCSV(bills, filename = 'nyseg-bills', accountInfo = {}, options = {}) {
+    const csvContent = generateCSV(bills, accountInfo, options);
 
     // Create blob and download link
     const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
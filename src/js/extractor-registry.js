@@ -0,0 +1,80 @@
+/**
+ * Extractor Registry
+ * Picks the utility extractor for each bill
+ *
+ * An extractor is a plugin object:
+ *   id               - Short identifier, e.g. 'nyseg'
+ *   name             - Display name, e.g. 'NYSEG'
+ *   detect(text)     - True if the PDF text is one of this utility's bills
+ *   extractBillData(text, fileName, textLayout) - Bill in the shape of createBill();
+ *                    textLayout is the positioned text from text-layout.js, or null.
+ *                    recordSource() in provenance.js notes which rule read each field
+ *   extractAccountInfo(text, textLayout) - {accountNumber, customerName, serviceAddress,
+ *                    mailingAddress, uncertain}; parseAddresses() in address-parser.js
+ *                    finds the address blocks
+ */
+
+import { nysegExtractor } from './nyseg-extractor.js';
+
+// Registered extractors, tried in registration order
+const extractors = [];
+
+/**
+ * Add a utility extractor to the registry
+ * @param {Object} extractor - Extractor plugin
+ */
+export function registerExtractor(extractor) {
+    for (const key of ['id', 'name', 'detect', 'extractBillData', 'extractAccountInfo']) {
+        if (!extractor[key]) {
+            throw new Error(`Extractor is missing "${key}"`);
+        }
+    }
+    if (extractors.some(e => e.id === extractor.id)) {
+        throw new Error(`An extractor with id "${extractor.id}" is already registered`);
+    }
+    extractors.push(extractor);
+}
+
+/**
+ * List registered extractors
+ * @returns {Array<Object>}
+ */
+export function getExtractors() {
+    return [...extractors];
+}
+
+/**
+ * Find the extractor for a bill's text
+ * @param {string} text - Extracted PDF text
+ * @returns {Object|null} Matching extractor, or null if no utility recognizes the bill
+ */
+export function findExtractor(text) {
+    return extractors.find(extractor => extractor.detect(text)) || null;
+}
+
+/**
+ * Extract a bill and its account info with whichever extractor recognizes it
+ * @param {string} text - Extracted PDF text
+ * @param {string} fileName - Original file name for reference
+ * @param {Object|null} [textLayout] - Positioned text from buildTextLayout
+ * @returns {{bill: Object, accountInfo: Object}} Bill tagged with its utility and account
+ * @throws {Error} If no registered extractor recognizes the bill
+ */
+export function extractBill(text, fileName, textLayout = null) {
+    const extractor = findExtractor(text);
+    if (!extractor) {
+        const supported = extractors.map(e => e.name).join(', ');
+        throw new Error(`Not a recognized utility bill (supported: ${supported})`);
+    }
+
+    const bill = extractor.extractBillData(text, fileName, textLayout);
+    const accountInfo = extractor.extractAccountInfo(text, textLayout);
+    bill.utility = { id: extractor.id, name: extractor.name };
+    bill.account = accountInfo;
+    bill.text = text;
+
+    return { bill, accountInfo };
+}
+
+// Built-in extractors
+registerExtractor(nysegExtractor);
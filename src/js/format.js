@@ -0,0 +1,49 @@
+/**
+ * Format Module
+ * Display formatting for dates, dollar amounts and rates
+ */
+
+/**
+ * Format a date for display
+ * @param {Date} date
+ * @returns {string}
+ */
+export function formatDate(date) {
+    if (!date) return 'N/A';
+    return date.toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric'
+    });
+}
+
+/**
+ * Format a date for chart labels
+ * @param {Date} date
+ * @returns {string}
+ */
+export function formatDateShort(date) {
+    if (!date) return 'N/A';
+    return date.toLocaleDateString('en-US', {
+        year: '2-digit',
+        month: 'short'
+    });
+}
+
+/**
+ * Format currency
+ * @param {number} amount
+ * @returns {string}
+ */
+export function formatCurrency(amount) {
+    return '$' + amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+/**
+ * Format rate (more decimal places)
+ * @param {number} rate
+ * @returns {string}
+ */
+export function formatRate(rate) {
+    return '$' + rate.toFixed(5);
+}
@@ -7,6 +7,11 @@
  * meaning the rate 0.07894 is split as "07894 @ 0."
  */
 
+import { createBill, servicePeriodFor, sharesBillPeriod, getField, TAX_CATEGORIES } from './bill-schema.js';
+import { findRows, buildPlainTextLayout } from './text-layout.js';
+import { parseAddresses, formatAddress } from './address-parser.js';
+import { sourceOf, recordSource, recordDerived } from './provenance.js';
+
 /**
  * Parse a date string in various formats
  * @param {string} dateStr - Date string like "February 11, 2025" or "01/09/25"
@@ -54,22 +59,1273 @@ function reconstructRate(rateDigits) {
     return parseFloat('0.' + rateDigits) || 0;
 }
 
+// How rates are printed, each with one capture group for the rate
+const RATE_FORMATS = {
+    // "3990 kwh 07894 @ 0. Delivery charge" - PDF.js splits "@ 0.07894"
+    split: { pattern: '(\\d+)\\s*@\\s*0\\.', parse: reconstructRate },
+    // "3990 kwh @ $0.07894 Delivery charge"
+    decimal: { pattern: '@\\s*\\$?(\\d*\\.\\d+)', parse: parseNumber }
+};
+
+// Bill templates NYSEG has used, newest first. Each has the markers that
+// fingerprint it and the labels and rate format its rules are built from.
+const LAYOUTS = [
+    {
+        id: '2020',
+        label: '2020 redesign',
+        markers: [
+            /Statement\s+Date/i,
+            /Subtotal\s+(?:Electricity|Natural\s+Gas)/i,
+            /Total\s+Energy\s+Charges/i,
+            /\d+\s*@\s*0\.(?!\d)/
+        ],
+        labels: {
+            statementDate: 'Statement\\s+Date',
+            electricity: 'Electricity',
+            gas: 'Natural\\s+Gas',
+            subtotal: 'Subtotal',
+            commodityTotal: 'Cost',
+            energyTotal: 'Total\\s+Energy\\s+Charges'
+        },
+        rate: RATE_FORMATS.split
+    },
+    {
+        id: 'pre-2020',
+        label: 'Pre-2020 layout',
+        markers: [
+            /Bill(?:ing)?\s+Date/i,
+            /Total\s+(?:Electric|Gas)\s+Charges/i,
+            /Total\s+Current\s+Charges/i,
+            /kwh\s+@\s*\$?0?\.\d{3,}/i
+        ],
+        labels: {
+            statementDate: 'Bill(?:ing)?\\s+Date',
+            electricity: 'Electric(?:ity)?',
+            gas: '(?:Natural\\s+)?Gas',
+            subtotal: 'Total',
+            commodityTotal: 'Charges',
+            energyTotal: 'Total\\s+Current\\s+Charges'
+        },
+        rate: RATE_FORMATS.decimal
+    }
+];
+
 /**
- * Extract bill data from PDF text
+ * Fingerprint which bill template a PDF uses
+ * The layout with the most matching markers wins; ties and unrecognized
+ * bills go to the newest layout.
  * @param {string} text - Extracted PDF text
- * @param {string} fileName - Original file name for reference
- * @returns {Object} Extracted bill data
+ * @returns {Object} Entry from LAYOUTS
+ */
+function detectLayout(text) {
+    let best = LAYOUTS[0];
+    let bestScore = 0;
+    for (const layout of LAYOUTS) {
+        const score = layout.markers.filter(marker => marker.test(text)).length;
+        if (score > bestScore) {
+            best = layout;
+            bestScore = score;
+        }
+    }
+    return best;
+}
+
+// Single-rate charge rows that can be read from positioned text
+const POSITIONED_RATE_ROWS = [
+    { commodity: 'electricity', name: 'delivery', label: 'Delivery\\s+charge', unit: 'kwh' },
+    { commodity: 'electricity', name: 'transition', label: 'Transition\\s+charge', unit: 'kwh' },
+    { commodity: 'electricity', name: 'sbc', label: 'SBC\\s+charge', unit: 'kwh' },
+    { commodity: 'electricity', name: 'supply', label: 'Supply\\s+charge', unit: 'kwh' },
+    { commodity: 'gas', name: 'delivery', label: 'Delivery\\s+charge', unit: 'therms?' },
+    { commodity: 'gas', name: 'supply', label: 'Supply\\s+charge', unit: 'therms?' }
+];
+
+// Bill sections that hold charge rows, keyed by the subtotal line that closes them
+const CHARGE_SECTIONS = [
+    { commodity: 'electricity', section: 'delivery', kind: 'Delivery' },
+    { commodity: 'electricity', section: 'supply', kind: 'Supply' },
+    { commodity: 'electricity', section: 'taxes', kind: 'Taxes\\s+and\\s+Surcharges' },
+    { commodity: 'gas', section: 'delivery', kind: 'Delivery' },
+    { commodity: 'gas', section: 'supply', kind: 'Supply' },
+    { commodity: 'gas', section: 'taxes', kind: 'Taxes\\s+and\\s+Surcharges' }
+];
+
+// Tax section rows by category, tried in order; rows matching none go under 'other'
+const TAX_ROW_CATEGORIES = [
+    { key: 'grossReceipts', pattern: /gross\s+receipts/i },
+    { key: 'salesTax', pattern: /sales\s+tax/i },
+    // "State energy surcharge", "Temporary state assessment", "RGGI surcharge"
+    { key: 'surcharges', pattern: /surcharge|assessment|\bRGGI\b/i }
+];
+
+// Building blocks for charge row patterns
+const MONTH = '(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\\.?';
+const DESCRIPTION = "([A-Za-z][A-Za-z0-9 &/().,'%-]*?)";
+const MONTH_SUFFIX = `(?:\\s*-\\s*(${MONTH}))?`;
+const UNIT = '(kwh|therms?|ccf)';
+const AMOUNT = '(-?\\$?[\\d,]*\\d\\.\\d{2})(-|\\s*CR)?';
+
+// Charge row formats, tried in order against each line of a section; the
+// name is recorded as the line item's provenance rule
+const LINE_ITEM_PATTERNS = [
+    // "1297 kwh 07894 @ 0. Delivery charge - Apr 102.39"
+    {
+        name: 'usage-split-rate-charge',
+        regex: new RegExp(`^([\\d,.]+)\\s+${UNIT}\\s+(\\d+)\\s*@\\s*0\\.\\s*${DESCRIPTION}${MONTH_SUFFIX}\\s+${AMOUNT}$`, 'i'),
+        fields: { quantity: 1, unit: 2, rateDigits: 3, description: 4, month: 5, amount: 6, credit: 7 }
+    },
+    // "1000 kwh @ $0.06500 Delivery charge 65.00" (pre-2020 bills)
+    {
+        name: 'usage-rate-charge',
+        regex: new RegExp(`^([\\d,.]+)\\s+${UNIT}\\s*@\\s*\\$?([\\d.]+)\\s+${DESCRIPTION}${MONTH_SUFFIX}\\s+${AMOUNT}$`, 'i'),
+        fields: { quantity: 1, unit: 2, rate: 3, description: 4, month: 5, amount: 6, credit: 7 }
+    },
+    // "Supply charge - Apr 16.5 therm 73822 @ 0. 12.18"
+    {
+        name: 'charge-usage-split-rate',
+        regex: new RegExp(`^${DESCRIPTION}${MONTH_SUFFIX}\\s+([\\d,.]+)\\s+${UNIT}\\s+(\\d+)\\s*@\\s*0\\.\\s+${AMOUNT}$`, 'i'),
+        fields: { description: 1, month: 2, quantity: 3, unit: 4, rateDigits: 5, amount: 6, credit: 7 }
+    },
+    // "Supply charge - April 18.5 therm @ 0.61252 11.33"
+    {
+        name: 'charge-usage-rate',
+        regex: new RegExp(`^${DESCRIPTION}${MONTH_SUFFIX}\\s+([\\d,.]+)\\s+${UNIT}\\s*@\\s*\\$?([\\d.]+)\\s+${AMOUNT}$`, 'i'),
+        fields: { description: 1, month: 2, quantity: 3, unit: 4, rate: 5, amount: 6, credit: 7 }
+    },
+    // "Merchant function charge 3.21"
+    {
+        name: 'charge-amount',
+        regex: new RegExp(`^${DESCRIPTION}${MONTH_SUFFIX}\\s+${AMOUNT}$`, 'i'),
+        fields: { description: 1, month: 2, amount: 3, credit: 4 }
+    }
+];
+
+/**
+ * Read single-rate charges from positioned text
+ * Rows rebuilt in column order carry the whole rate ("@ 0.07894"), so they
+ * replace what the stream-order rules read. A charge is only taken when
+ * exactly one row has it; month-split rows are left to the text rules.
+ * @param {Object} data - Bill data being extracted
+ * @param {Object} layout - Layout from buildTextLayout
+ */
+function applyPositionedRates(data, layout) {
+    for (const { commodity, name, label, unit } of POSITIONED_RATE_ROWS) {
+        const target = data[commodity];
+        if (target.rateSegments[name]?.length > 0) continue;
+
+        // "3990 kwh @ 0.07894 Delivery charge 314.97", "Delivery charge 44.2 therm @ 0.73822 32.63"
+        const rateRegex = new RegExp(`([\\d,.]+)\\s*${unit}\\s*@\\s*\\$?(\\d*\\.\\d+)`, 'i');
+        const monthSplitRegex = new RegExp(`${label}\\s*-\\s*${MONTH}`, 'i');
+        const rows = findRows(layout, new RegExp(`^(?:[\\d,.]+\\s*${unit}\\s*@\\s*\\$?[\\d.]+\\s+)?${label}\\b`, 'i'))
+            .filter(row => rateRegex.test(row.text) && !monthSplitRegex.test(row.text));
+        if (rows.length !== 1) continue;
+
+        const rateMatch = rows[0].text.match(rateRegex);
+        const amountMatch = rows[0].text.match(/(-?[\d,]*\d\.\d{2})\s*$/);
+        if (!amountMatch) continue;
+
+        target[`${name}Rate`] = parseNumber(rateMatch[2]);
+        target[`${name}Charge`] = parseNumber(amountMatch[1]);
+        recordDerived(data.provenance, [`${commodity}.${name}Rate`, `${commodity}.${name}Charge`], 'positioned-rate-row', rows[0].text);
+    }
+}
+
+/**
+ * Find the text span of each charge section
+ * A section runs from its heading (e.g. "Electricity Supply Charges") or the
+ * end of the previous section, up to its "Subtotal ..." line.
+ * @param {string} text - Extracted PDF text
+ * @param {Object} layout - Bill layout from detectLayout
+ * @returns {Array<{commodity: string, section: string, text: string, start: number}>}
+ *     Sections with their offset in the text
+ */
+function findChargeSections(text, layout) {
+    const { labels } = layout;
+    const boundaries = [];
+    for (const def of CHARGE_SECTIONS) {
+        const name = labels[def.commodity];
+        const match = new RegExp(`${labels.subtotal}\\s+${name}\\s+${def.kind}[^\\n]*`, 'i').exec(text);
+        if (match) {
+            boundaries.push({ ...def, name, start: match.index, end: match.index + match[0].length });
+        }
+    }
+    const totalRegex = new RegExp(`Total\\s+(?:${labels.electricity}|${labels.gas})\\s+${labels.commodityTotal}[^\\n]*`, 'gi');
+    for (const match of text.matchAll(totalRegex)) {
+        boundaries.push({ start: match.index, end: match.index + match[0].length });
+    }
+    boundaries.sort((a, b) => a.start - b.start);
+
+    const sections = [];
+    boundaries.forEach((boundary, i) => {
+        if (!boundary.commodity) return;
+
+        const previousEnd = i > 0 ? boundaries[i - 1].end : null;
+        const headingRegex = new RegExp(`${boundary.name}\\s+${boundary.kind}(?:\\s+Charges)?`, 'gi');
+        let headingEnd = null;
+        for (const heading of text.slice(0, boundary.start).matchAll(headingRegex)) {
+            headingEnd = heading.index + heading[0].length;
+        }
+
+        // Without a heading or a preceding subtotal, the section can't be bounded safely
+        const start = Math.max(previousEnd ?? -1, headingEnd ?? -1);
+        if (start < 0) return;
+
+        sections.push({
+            commodity: boundary.commodity,
+            section: boundary.section,
+            text: text.slice(start, boundary.start),
+            start
+        });
+    });
+
+    return sections;
+}
+
+/**
+ * Parse a single charge row
+ * @param {string} line - One line of section text, whitespace-collapsed
+ * @returns {Object|null} Line item fields plus the name of the pattern that
+ *     matched as `rule`, or null if the line isn't a charge
+ */
+function parseLineItem(line) {
+    if (/^(?:Subtotal|Total)\b/i.test(line)) return null;
+
+    for (const { name, regex, fields } of LINE_ITEM_PATTERNS) {
+        const match = line.match(regex);
+        if (!match) continue;
+
+        const description = match[fields.description].trim();
+        if (!/[A-Za-z]{3}/.test(description)) continue;
+
+        let amount = parseNumber(match[fields.amount].replace('$', ''));
+        if (match[fields.credit]) amount = -Math.abs(amount);
+
+        let rate = null;
+        if (fields.rateDigits) rate = reconstructRate(match[fields.rateDigits]);
+        if (fields.rate) rate = parseNumber(match[fields.rate]);
+
+        return {
+            description,
+            quantity: fields.quantity ? parseNumber(match[fields.quantity]) : null,
+            unit: fields.unit ? match[fields.unit].toLowerCase() : null,
+            rate,
+            amount,
+            month: fields.month ? (match[fields.month] || null) : null,
+            rule: name
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Parse the charge rows in a stretch of text
+ * @param {string} sectionText - Section text
+ * @param {number} start - Offset of the section in the page text
+ * @param {Object} tags - Fields every item gets, e.g. {commodity, section}
+ * @returns {Array<Object>} Line items, each with a provenance `source`
+ */
+function parseLineItems(sectionText, start, tags) {
+    const items = [];
+    for (const lineMatch of sectionText.matchAll(/[^\n]+/g)) {
+        const line = lineMatch[0].replace(/\s+/g, ' ').trim();
+        if (!line) continue;
+
+        const item = parseLineItem(line);
+        if (item) {
+            const { rule, ...fields } = item;
+            items.push({ ...tags, ...fields, source: sourceOf(rule, lineMatch, start) });
+        }
+    }
+    return items;
+}
+
+/**
+ * Extract every charge row from the delivery, supply and tax sections
+ * @param {string} text - Extracted PDF text
+ * @param {Object} layout - Bill layout from detectLayout
+ * @returns {Array<Object>} Line items tagged with commodity and section
  */
+function extractLineItems(text, layout) {
+    return findChargeSections(text, layout).flatMap(({ commodity, section, text: sectionText, start }) =>
+        parseLineItems(sectionText, start, { commodity, section })
+    );
+}
+
+/**
+ * Split a commodity's tax and surcharge rows into TAX_CATEGORIES
+ * @param {Array<Object>} lineItems - Line items from extractLineItems
+ * @param {string} commodity - 'electricity' or 'gas'
+ * @param {Object} provenance - bill.provenance
+ * @returns {Object|null} Amount per category key (null for categories with no
+ *     rows), or null when the section has no rows
+ */
+function extractTaxBreakdown(lineItems, commodity, provenance) {
+    const items = lineItems.filter(item => item.commodity === commodity && item.section === 'taxes');
+    if (items.length === 0) return null;
+
+    const breakdown = Object.fromEntries(TAX_CATEGORIES.map(({ key }) => [key, null]));
+    const rows = {};
+    for (const item of items) {
+        const key = TAX_ROW_CATEGORIES.find(({ pattern }) => pattern.test(item.description))?.key ?? 'other';
+        breakdown[key] = Math.round(((breakdown[key] ?? 0) + item.amount) * 100) / 100;
+        (rows[key] ??= []).push(item.source.snippet);
+    }
+    for (const [key, snippets] of Object.entries(rows)) {
+        recordDerived(provenance, `${commodity}.taxBreakdown.${key}`, 'tax-rows', snippets.join(' … '));
+    }
+
+    return breakdown;
+}
+
+// Read type labels printed next to meter readings
+const READ_TYPES = {
+    a: 'actual',
+    actual: 'actual',
+    e: 'estimated',
+    est: 'estimated',
+    estimated: 'estimated',
+    c: 'customer',
+    customer: 'customer'
+};
+const READ_TYPE = '\\(?(Actual|Estimated|Est\\.?|Customer|[AEC]\\b)\\)?';
+
+/**
+ * Normalize a printed read type
+ * @param {string|undefined} label - e.g. "Actual", "Est.", "(E)"
+ * @returns {'actual'|'estimated'|'customer'|null}
+ */
+function parseReadType(label) {
+    if (!label) return null;
+    return READ_TYPES[label.replace(/[().]/g, '').toLowerCase()] || null;
+}
+
+/**
+ * Extract meter numbers, readings and read types for each meter on the bill
+ * Each meter's block runs from its "Meter number" label to the next one. The
+ * commodity comes from the first unit in the block (kwh vs ccf/therm).
+ * @param {string} text - Extracted PDF text
+ * @param {Object} provenance - bill.provenance, to record where each reading was read
+ * @returns {{electricity: Object|null, gas: Object|null}}
+ */
+function extractMeterReads(text, provenance) {
+    const meters = { electricity: null, gas: null };
+    const starts = [...text.matchAll(/Meter\s*(?:number|#|no\.?)\s*:?\s*((?=[A-Z-]*\d)[A-Z0-9-]{4,})/gi)];
+
+    starts.forEach((start, i) => {
+        const end = i + 1 < starts.length ? starts[i + 1].index : start.index + 500;
+        const block = text.slice(start.index, end);
+
+        const unit = block.match(/\b(kwh|ccf|therms?)\b/i);
+        if (!unit) return;
+        const commodity = unit[1].toLowerCase() === 'kwh' ? 'electricity' : 'gas';
+        if (meters[commodity]) return;
+
+        const previous = block.match(new RegExp(`Previous\\s+read(?:ing)?\\s*:?\\s*([\\d,]+)\\s*${READ_TYPE}?`, 'i'));
+        const current = block.match(new RegExp(`(?:Present|Current)\\s+read(?:ing)?\\s*:?\\s*([\\d,]+)\\s*${READ_TYPE}?`, 'i'));
+
+        const meter = {
+            number: start[1],
+            previousReading: previous ? parseNumber(previous[1]) : null,
+            currentReading: current ? parseNumber(current[1]) : null,
+            previousReadType: parseReadType(previous?.[2]),
+            currentReadType: parseReadType(current?.[2])
+        };
+
+        // Some bills only say "estimated reading" somewhere in the meter block
+        if (!meter.currentReadType && /\bestimated\s+(?:read|reading)\b/i.test(block)) {
+            meter.currentReadType = 'estimated';
+        }
+        meter.estimated = meter.currentReadType === 'estimated';
+
+        recordSource(provenance, `${commodity}.meter.number`, 'meter-number', start);
+        if (previous) {
+            recordSource(provenance, `${commodity}.meter.previousReading`, 'meter-previous-read', previous, start.index);
+        }
+        if (current) {
+            recordSource(provenance, `${commodity}.meter.currentReading`, 'meter-current-read', current, start.index);
+        }
+
+        meters[commodity] = meter;
+    });
+
+    return meters;
+}
+
+// Signed dollar amount: "-123.45", "$123.45", "123.45-", "123.45 CR" or "(123.45)"
+const SIGNED_AMOUNT = '(\\(?-?\\$?[\\d,]*\\d\\.\\d{2}\\)?(?:-|\\s*CR)?)';
+
+/**
+ * Parse a dollar amount that may be printed as a credit
+ * @param {string} str - Amount text
+ * @returns {number} Negative for credits
+ */
+function parseSignedAmount(str) {
+    const value = parseNumber(str.replace(/[$()]|CR/gi, '').replace(/-$/, ''));
+    const isCredit = /^\(|^-|-$|CR$/i.test(str.trim());
+    return isCredit ? -Math.abs(value) : value;
+}
+
+/**
+ * Extract the account summary block: balances, payments, adjustments,
+ * late charges and the due date
+ * @param {string} text - Extracted PDF text
+ * @param {Object} provenance - bill.provenance, to record where each figure was read
+ * @returns {Object} Account activity, with null for anything not found
+ */
+function extractAccountActivity(text, provenance) {
+    const activity = {
+        previousBalance: null,
+        payments: [],
+        paymentsTotal: null,
+        adjustments: null,
+        latePaymentCharges: null,
+        balanceForward: null,
+        dueDate: null
+    };
+
+    // "Previous Balance $123.45"
+    const previousMatch = text.match(new RegExp(`Previous\\s+Balance:?\\s+${SIGNED_AMOUNT}`, 'i'));
+    if (previousMatch) {
+        activity.previousBalance = parseSignedAmount(previousMatch[1]);
+        recordSource(provenance, 'accountActivity.previousBalance', 'previous-balance', previousMatch);
+    }
+
+    // "Payment Received 01/15/25 -123.45" or "Payments Received - Thank You -123.45"
+    const paymentRegex = new RegExp(`Payments?\\s+Received(?:\\s*-\\s*Thank\\s+You)?:?\\s*(\\d{2}\\/\\d{2}\\/\\d{2})?\\s+${SIGNED_AMOUNT}`, 'gi');
+    const paymentMatches = [...text.matchAll(paymentRegex)];
+    for (const match of paymentMatches) {
+        activity.payments.push({
+            date: match[1] ? parseDate(match[1]) : null,
+            amount: Math.abs(parseSignedAmount(match[2]))
+        });
+    }
+    if (activity.payments.length > 0) {
+        activity.paymentsTotal = activity.payments.reduce((sum, p) => sum + p.amount, 0);
+        recordSource(provenance, 'accountActivity.paymentsTotal', 'payment-received', paymentMatches);
+    }
+
+    // "Adjustments -5.00"
+    const adjustmentMatch = text.match(new RegExp(`Adjustments?:?\\s+${SIGNED_AMOUNT}`, 'i'));
+    if (adjustmentMatch) {
+        activity.adjustments = parseSignedAmount(adjustmentMatch[1]);
+        recordSource(provenance, 'accountActivity.adjustments', 'adjustments', adjustmentMatch);
+    }
+
+    // "Late Payment Charge 1.85" (may appear more than once)
+    const lateMatches = [...text.matchAll(new RegExp(`Late\\s+Payment\\s+Charges?:?\\s+${SIGNED_AMOUNT}`, 'gi'))];
+    if (lateMatches.length > 0) {
+        activity.latePaymentCharges = lateMatches.reduce((sum, m) => sum + parseSignedAmount(m[1]), 0);
+        recordSource(provenance, 'accountActivity.latePaymentCharges', 'late-payment-charge', lateMatches);
+    }
+
+    // "Balance Forward $0.00" or "Balance Brought Forward 0.00"
+    const forwardMatch = text.match(new RegExp(`Balance\\s+(?:Brought\\s+)?Forward:?\\s+${SIGNED_AMOUNT}`, 'i'));
+    if (forwardMatch) {
+        activity.balanceForward = parseSignedAmount(forwardMatch[1]);
+        recordSource(provenance, 'accountActivity.balanceForward', 'balance-forward', forwardMatch);
+    }
+
+    // "Due Date: 03/03/25", "Please pay by March 3, 2025" or "Due by: March 3, 2025"
+    const dueMatch = text.match(/(?:Due\s+Date|Pay\s+by|Due\s+by):?\s*(\d{2}\/\d{2}\/\d{2}|\w+\s+\d{1,2},?\s+\d{4})/i);
+    if (dueMatch) {
+        activity.dueDate = parseDate(dueMatch[1]);
+        recordSource(provenance, 'accountActivity.dueDate', 'due-date', dueMatch);
+    }
+
+    return activity;
+}
+
+// Assistance programs and credits, by the wording of their lines and notes
+const CREDIT_PATTERNS = [
+    { key: 'lowIncome', pattern: /Energy\s+Affordability|Low[- ]income|\bEAP\b/i },
+    { key: 'heap', pattern: /\bHEAP\b|Home\s+Energy\s+Assistance/i },
+    { key: 'projectShare', pattern: /Project\s+SHARE/i },
+    { key: 'billCredit', pattern: /(?:Bill|Courtesy|Goodwill|One[- ]time|Customer)\s+credit|Credit\s+adjustment/i }
+];
+
+// Notes saying the household is in a program, e.g. "You are enrolled in the Energy Affordability Program"
+const PROGRAM_NOTE = /\b(?:enrolled|enrollment|participant|participating|receiving)\b/i;
+
+/**
+ * Extract assistance credits, bill credits and program enrollments
+ * Credit rows inside a charge section come from the line items and are
+ * already netted into the section subtotals; the rest, such as HEAP payments
+ * and credits in the account summary, are read from lines of their own.
+ * @param {string} text - Extracted PDF text
+ * @param {Array<Object>} lineItems - Line items from extractLineItems
+ * @param {Object} provenance - bill.provenance, to record where program notes were read
+ * @returns {Object|null} {items, programs}: items are {program, description,
+ *     amount, commodity, inCharges, source} with credits negative, and programs
+ *     the CREDIT_PATTERNS keys the bill mentions; null when there are neither
+ */
+function extractCredits(text, lineItems, provenance) {
+    const programOf = description => CREDIT_PATTERNS.find(({ pattern }) => pattern.test(description))?.key ?? null;
+    const items = [];
+
+    for (const item of lineItems) {
+        const program = programOf(item.description);
+        if (program) {
+            items.push({ program, description: item.description, amount: item.amount, commodity: item.commodity, inCharges: true, source: item.source });
+        }
+    }
+
+    // "HEAP Payment 01/15/25 -350.00", "Bill credit 25.00 CR", "Project SHARE contribution 2.00"
+    const amountRegex = new RegExp(`^(.*?)\\s+${SIGNED_AMOUNT}$`);
+    const notes = [];
+    for (const lineMatch of text.matchAll(/[^\n]+/g)) {
+        const line = lineMatch[0].replace(/\s+/g, ' ').trim();
+        const program = programOf(line);
+        if (!program) continue;
+
+        const end = lineMatch.index + lineMatch[0].length;
+        if (lineItems.some(item => item.source.offset >= lineMatch.index && item.source.offset < end)) continue;
+
+        const amountMatch = line.match(amountRegex);
+        if (amountMatch) {
+            // HEAP benefits are paid to the utility, so they're credits however they're printed
+            const amount = parseSignedAmount(amountMatch[2]);
+            items.push({
+                program,
+                description: amountMatch[1].replace(/:?\s+\d{2}\/\d{2}\/\d{2,4}$/, ''),
+                amount: program === 'heap' ? -Math.abs(amount) : amount,
+                commodity: null,
+                inCharges: false,
+                source: sourceOf('credit-line', lineMatch)
+            });
+        } else if (PROGRAM_NOTE.test(line)) {
+            notes.push({ program, match: lineMatch });
+        }
+    }
+
+    const mentioned = new Set([...items, ...notes].map(({ program }) => program));
+    if (mentioned.size === 0) return null;
+
+    if (notes.length > 0) {
+        recordSource(provenance, 'credits.programs', 'program-note', notes.map(note => note.match));
+    }
+    return {
+        items,
+        programs: CREDIT_PATTERNS.map(({ key }) => key).filter(key => mentioned.has(key))
+    };
+}
+
+// Time-of-use periods, as named on usage rows and charge descriptions
+const TOU_PERIODS = {
+    onPeak: 'On[- ]?peak|Day(?:time)?',
+    offPeak: 'Off[- ]?peak|Night(?:time)?'
+};
+
+// Charge sections that can be priced by time of use
+const TOU_SECTIONS = ['delivery', 'supply'];
+
+// Most kWh the two periods' usage may differ from the bill's total by
+const TOU_USAGE_TOLERANCE = 1;
+
+/**
+ * Total kWh billed, from the kWh charges that aren't priced by period
+ * Charges such as "3990 kwh 00123 @ 0. Transition charge" are billed on every
+ * kWh; month-split rows of one charge are added together.
+ * @param {Array<Object>} lineItems - Line items from extractLineItems
+ * @param {RegExp} periodRegex - Matches either period's name
+ * @returns {number|null} null when every kWh charge is priced by period
+ */
+function allPeriodUsage(lineItems, periodRegex) {
+    const byCharge = new Map();
+    for (const item of lineItems) {
+        if (item.commodity !== 'electricity' || item.unit !== 'kwh' || !item.quantity) continue;
+        if (periodRegex.test(item.description)) continue;
+        const key = `${item.section}|${item.description.toLowerCase()}`;
+        byCharge.set(key, (byCharge.get(key) ?? 0) + item.quantity);
+    }
+    return byCharge.size > 0 ? Math.max(...byCharge.values()) : null;
+}
+
+/**
+ * Extract on-peak and off-peak usage and charges for voluntary time-of-use rates
+ * Usage comes from rows like "On-peak 812 kwh"; charges are the kWh line items
+ * whose description names a period, e.g. "812 kwh 14230 @ 0. On-peak supply charge 115.55".
+ * The two periods must add up to the bill's total kWh where it's known, so a
+ * stray "Day" or "Night" elsewhere on the bill isn't taken for a period.
+ * @param {string} text - Extracted PDF text
+ * @param {Array<Object>} lineItems - Line items from extractLineItems
+ * @param {number|null} totalUsage - Total kWh read by the flat-rate rules
+ * @param {Object} provenance - bill.provenance, to record where each period's usage was read
+ * @returns {Object|null} {onPeak, offPeak}, each {usage, charges: {delivery, supply},
+ *     rates: {delivery, supply}}, or null for flat-rate bills
+ */
+function extractTimeOfUse(text, lineItems, totalUsage, provenance) {
+    const tou = {};
+    const found = {};
+
+    for (const [period, names] of Object.entries(TOU_PERIODS)) {
+        const nameRegex = new RegExp(`\\b(?:${names})\\b`, 'i');
+        const items = lineItems.filter(item =>
+            item.commodity === 'electricity' && item.unit === 'kwh' && nameRegex.test(item.description)
+        );
+
+        // "On-peak 812 kwh", "Off-Peak Usage: 2,100 kwh", with the kWh on the same row
+        const usageMatch = text.match(new RegExp(`\\b(?:${names})\\b[^\\n]*?\\b([\\d,]+)[ \\t]*kwh`, 'i'));
+        let usage = usageMatch ? parseNumber(usageMatch[1]) : null;
+        if (usage === null && items.length > 0) {
+            usage = Math.max(...items.map(item => item.quantity));
+        }
+        if (usage === null) return null;
+
+        const charges = {};
+        const rates = {};
+        for (const section of TOU_SECTIONS) {
+            const sectionItems = items.filter(item => item.section === section);
+            charges[section] = sectionItems.length > 0
+                ? sectionItems.reduce((sum, item) => sum + item.amount, 0)
+                : null;
+            rates[section] = charges[section] !== null && usage > 0 ? charges[section] / usage : null;
+        }
+
+        tou[period] = { usage, charges, rates };
+        if (usageMatch) {
+            recordSource(found, `electricity.timeOfUse.${period}.usage`, 'time-of-use-usage', usageMatch);
+        } else {
+            recordDerived(found, `electricity.timeOfUse.${period}.usage`, 'largest time-of-use line item');
+        }
+    }
+
+    // Flat-rate rules may have read one period's row, which isn't the total
+    const periodRegex = new RegExp(`\\b(?:${Object.values(TOU_PERIODS).join('|')})\\b`, 'i');
+    const periodUsages = [tou.onPeak.usage, tou.offPeak.usage];
+    const total = allPeriodUsage(lineItems, periodRegex) ??
+        (periodUsages.includes(totalUsage) ? null : totalUsage);
+    if (total !== null && Math.abs(tou.onPeak.usage + tou.offPeak.usage - total) > TOU_USAGE_TOLERANCE) {
+        return null;
+    }
+
+    Object.assign(provenance, found);
+    return tou;
+}
+
+/**
+ * Replace single-rate electric fields with time-of-use totals
+ * The flat-rate patterns only see one period's row (or none), so usage and
+ * any period-priced charge are rebuilt from both periods.
+ * @param {Object} electricity - data.electricity with timeOfUse set
+ * @param {Object} provenance - bill.provenance
+ */
+function applyTimeOfUse(electricity, provenance) {
+    const { onPeak, offPeak } = electricity.timeOfUse;
+    electricity.usage = onPeak.usage + offPeak.usage;
+    recordDerived(provenance, 'electricity.usage', 'on-peak + off-peak usage');
+
+    for (const section of TOU_SECTIONS) {
+        if (onPeak.charges[section] === null && offPeak.charges[section] === null) continue;
+
+        const charge = (onPeak.charges[section] ?? 0) + (offPeak.charges[section] ?? 0);
+        electricity[`${section}Charge`] = charge;
+        electricity[`${section}Rate`] = electricity.usage > 0 ? charge / electricity.usage : null;
+        recordDerived(provenance, [`electricity.${section}Charge`, `electricity.${section}Rate`], 'time-of-use line items');
+    }
+}
+
+// Net metering meter rows, keyed by field
+const NET_METERING_LABELS = {
+    delivered: 'Delivered(?:\\s+to\\s+you)?|Imported',
+    received: 'Received(?:\\s+from\\s+you)?|Exported|Generated',
+    net: 'Net(?:\\s+(?:usage|billed|metered))?',
+    banked: 'Banked|Carry[- ]?over|Credit\\s+balance'
+};
+
+/**
+ * Find a kWh figure by its label
+ * Accepts "kWh Delivered 1,250", "Delivered kWh 1,250" and "Delivered 1,250 kwh";
+ * the kWh unit is required so e.g. "Payment Received 01/20/25" doesn't match.
+ * @param {string} text - Extracted PDF text
+ * @param {string} label - Regex alternatives for the label
+ * @param {Object} provenance - bill.provenance
+ * @param {string} path - Field path to record the match under
+ * @returns {number|null}
+ */
+function findLabeledKwh(text, label, provenance, path) {
+    const match = text.match(new RegExp(
+        `(?:kwh\\s+(?:${label})|(?:${label})\\s+kwh):?\\s+(-?[\\d,]+)(?![\\d/.])|\\b(?:${label}):?\\s+(-?[\\d,]+)\\s*kwh`, 'i'
+    ));
+    if (!match) return null;
+    recordSource(provenance, path, 'labeled-kwh', match);
+    return parseNumber(match[1] ?? match[2]);
+}
+
+/**
+ * Extract net metering figures for customers with solar or other generation
+ * @param {string} text - Extracted PDF text
+ * @param {Object} provenance - bill.provenance, to record where each figure was read
+ * @returns {Object|null} {delivered, received, net, banked, credit} with kWh
+ *     from the grid, kWh sent to the grid, billed net kWh, banked kWh carried
+ *     forward and the credit in dollars; null when the bill isn't net metered
+ */
+function extractNetMetering(text, provenance) {
+    const path = field => `electricity.netMetering.${field}`;
+    const found = {};
+    const delivered = findLabeledKwh(text, NET_METERING_LABELS.delivered, found, path('delivered'));
+    const received = findLabeledKwh(text, NET_METERING_LABELS.received, found, path('received'));
+    if (delivered === null || received === null) return null;
+
+    // "Net metering credit -45.12", "Solar credit $45.12 CR"
+    const creditMatch = text.match(new RegExp(
+        `(?:Net\\s+meter(?:ing)?|Solar|Excess\\s+generation|Banked)\\s+credit(?:\\s+applied)?:?\\s+${SIGNED_AMOUNT}`, 'i'
+    ));
+    if (creditMatch) {
+        recordSource(found, path('credit'), 'net-metering-credit', creditMatch);
+    }
+
+    const net = findLabeledKwh(text, NET_METERING_LABELS.net, found, path('net'));
+    if (net === null) {
+        recordDerived(found, path('net'), 'delivered − received');
+    }
+
+    // Only a net-metered bill gets its figures recorded
+    Object.assign(provenance, found);
+
+    return {
+        delivered,
+        received,
+        net: net ?? delivered - received,
+        banked: findLabeledKwh(text, NET_METERING_LABELS.banked, provenance, path('banked')),
+        credit: creditMatch ? Math.abs(parseSignedAmount(creditMatch[1])) : null
+    };
+}
+
+// Names on NYSEG's own addresses (payment processing, correspondence)
+const UTILITY_ADDRESS = /NYSEG|New\s+York\s+State\s+Electric|Payment\s+Processing/i;
+
+// Supplier names on the bill that mean the utility itself supplies the energy
+const UTILITY_SUPPLIER = /^(?:NYSEG|New\s+York\s+State\s+Electric\s*(?:&|and)\s*Gas)/i;
+
+// Labels introducing a supplier name, per commodity
+const SUPPLIER_LABELS = {
+    electricity: '(?:Electricity|Electric)',
+    gas: '(?:Natural\\s+Gas|Gas)'
+};
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeRegex(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Detect who supplies the energy for a commodity and, for an energy services
+ * company (ESCO), read its charges from the supplier section
+ * ESCO sections look like:
+ * "Electricity Supplier: ACME ENERGY LLC" ... "Energy charge 3990 kwh @ 0.10500 418.95" ... "Total ACME ENERGY LLC Charges $418.95"
+ * @param {string} text - Extracted PDF text
+ * @param {string} commodity - 'electricity' or 'gas'
+ * @returns {{name: string, type: 'utility'|'esco', items: Array<Object>, total: number|null, totalMatch: Object|null}}
+ *     Supplier, with the match the total was read from
+ */
+function extractSupplier(text, commodity) {
+    const labelRegex = new RegExp(
+        `${SUPPLIER_LABELS[commodity]}\\s+(?:Supplier|Supply\\s+(?:Charges\\s+)?(?:from|by|provided\\s+by|-))\\s*:?\\s*`, 'gi'
+    );
+    // The label can be in any case, but the name must start with a capital;
+    // it ends at a wide gap or before a phone number
+    const nameRegex = /^[A-Z][A-Za-z0-9&.,'\- ]{2,60}?(?=\s{2,}|\s+(?:Phone|Tel)\b|\s+[(+]?\d|\n|$)/;
+
+    let name = null;
+    let sectionStart = null;
+    for (const labelMatch of text.matchAll(labelRegex)) {
+        const nameStart = labelMatch.index + labelMatch[0].length;
+        const nameMatch = text.slice(nameStart).match(nameRegex);
+        if (!nameMatch) continue;
+
+        name = nameMatch[0].trim();
+        sectionStart = nameStart + nameMatch[0].length;
+        break;
+    }
+
+    if (!name || UTILITY_SUPPLIER.test(name)) {
+        return { name: 'NYSEG', type: 'utility', items: [], total: null, totalMatch: null };
+    }
+
+    // Charge rows run from the supplier name to the section's first total line
+    const sectionEnd = text.slice(sectionStart).search(/(?:Sub)?total\b/i);
+    const sectionText = text.slice(sectionStart, sectionEnd >= 0 ? sectionStart + sectionEnd : undefined);
+    const items = parseLineItems(sectionText, sectionStart, { commodity, section: 'supply' });
+
+    // "Total ACME ENERGY LLC Charges $418.95"
+    const totalMatch = text.match(new RegExp(`Total\\s+${escapeRegex(name).replace(/\s+/g, '\\s+')}\\s+Charges\\s+\\$?([\\d,.]+)`, 'i'));
+
+    return {
+        name,
+        type: 'esco',
+        items,
+        total: totalMatch ? parseNumber(totalMatch[1]) : null,
+        totalMatch
+    };
+}
+
+/**
+ * Extract budget billing plan details
+ * @param {string} text - Extracted PDF text
+ * @param {Object} provenance - bill.provenance, to record where each figure was read
+ * @returns {Object|null} Installment, deferred balance (actual charges minus
+ *     budget payments so far; positive means owed) and settlement month, or
+ *     null when the bill isn't on budget billing
+ */
+function extractBudgetBilling(text, provenance) {
+    if (!/Budget\s+Bill(?:ing)?/i.test(text)) return null;
+
+    const budget = {
+        installment: null,
+        deferredBalance: null,
+        settlementMonth: null
+    };
+    const found = {};
+
+    // "Budget Billing Amount $150.00" or "Budget Plan Installment 150.00"
+    const installmentMatch = text.match(/Budget\s+(?:Billing\s+)?(?:Plan\s+)?(?:Amount|Installment|Payment):?\s+\$?([\d,]*\d\.\d{2})/i);
+    if (installmentMatch) {
+        budget.installment = parseNumber(installmentMatch[1]);
+        recordSource(found, 'budgetBilling.installment', 'budget-installment', installmentMatch);
+    }
+
+    // "Deferred Balance $312.40" or "Budget Billing Difference -45.10"
+    const differenceMatch = text.match(new RegExp(`(?:Deferred\\s+Balance|Budget\\s+(?:Billing\\s+)?Difference|Accumulated\\s+Difference):?\\s+${SIGNED_AMOUNT}`, 'i'));
+    if (differenceMatch) {
+        budget.deferredBalance = parseSignedAmount(differenceMatch[1]);
+        recordSource(found, 'budgetBilling.deferredBalance', 'budget-difference', differenceMatch);
+    } else {
+        // "Your actual charges are $312.40 more than your budget payments"
+        const sentenceMatch = text.match(/\$([\d,]*\d\.\d{2})\s+(more|less)\s+than\s+(?:your\s+)?budget/i);
+        if (sentenceMatch) {
+            const amount = parseNumber(sentenceMatch[1]);
+            budget.deferredBalance = sentenceMatch[2].toLowerCase() === 'more' ? amount : -amount;
+            recordSource(found, 'budgetBilling.deferredBalance', 'budget-difference-sentence', sentenceMatch);
+        }
+    }
+
+    // "Settlement month: August" or "will be reconciled in August"
+    const settlementMatch = text.match(/(?:settle(?:ment|d)?|reconcil\w*|review(?:ed)?)\s+(?:month:?\s*|in\s+)(January|February|March|April|May|June|July|August|September|October|November|December)/i);
+    if (settlementMatch) {
+        budget.settlementMonth = settlementMatch[1];
+        recordSource(found, 'budgetBilling.settlementMonth', 'budget-settlement-month', settlementMatch);
+    }
+
+    // A passing mention of budget billing (e.g. an enrollment ad) isn't enrollment
+    if (budget.installment === null && budget.deferredBalance === null) return null;
+
+    Object.assign(provenance, found);
+    return budget;
+}
+
+// Therm factor: "Therm factor 1.0279", "BTU factor 1028", or the factor in a printed
+// conversion: "43 ccf x 1.0279 = 44.2 therms"
+const THERM_FACTOR = /(?:BTU|Therm|Conversion|Billing)\s+(?:conversion\s+)?factor:?\s*([\d,]*\.?\d+)|ccf\s*[x×*]\s*(\d*\.?\d+)\s*=/i;
+
+// Therms per CCF for typical pipeline gas (about 1,037 BTU per cubic foot),
+// for bills that print neither the therm figure nor the factor
+const TYPICAL_THERM_FACTOR = 1.037;
+
+/**
+ * Parse a therm factor as therms per CCF
+ * Factors printed as BTU per cubic foot (e.g. 1028) are scaled down.
+ * @param {string} str - Factor text
+ * @returns {number|null}
+ */
+function parseThermFactor(str) {
+    const value = parseNumber(str);
+    if (value <= 0) return null;
+    return value > 10 ? value / 1000 : value;
+}
+
+// Service period row: "01/09/25 - 02/07/25   30 days", with the day count optional
+const SERVICE_PERIOD = /(\d{2}\/\d{2}\/\d{2})\s*-\s*(\d{2}\/\d{2}\/\d{2})(?:[ \t]+(\d+)\s*days\b)?/g;
+
+// A unit after a service period's dates, e.g. "... 30 days 3990 kwh"
+const PERIOD_UNIT = /\b(?:(kwh)|(ccf|therms?))\b/i;
+
+// A commodity named before a service period's dates, e.g. "Natural gas service from:"
+const PERIOD_LABEL = /\b(?:(kwh|Electric(?:ity)?)|(ccf|therms?|Gas))\b/gi;
+
+// A line before the dates that labels them rather than ending some other row
+const PERIOD_HEADING = /service|period|from|read/i;
+
+/**
+ * Find every service period on the bill and the commodity each belongs to
+ * A unit on the same row after the dates decides the commodity; failing
+ * that, the nearest commodity named earlier on the row or on a label line
+ * just above it does. Periods with neither belong to the whole bill.
+ * @param {string} text - Extracted PDF text
+ * @returns {Array<{match: RegExpMatchArray, commodity: string|null}>} Periods in text order
+ */
+function findServicePeriods(text) {
+    return [...text.matchAll(SERVICE_PERIOD)].map(match => {
+        const lineStart = text.lastIndexOf('\n', match.index) + 1;
+        const lineEnd = text.indexOf('\n', match.index);
+        const after = text.slice(match.index + match[0].length, lineEnd < 0 ? undefined : lineEnd);
+
+        const unit = after.match(PERIOD_UNIT);
+        if (unit) {
+            return { match, commodity: unit[1] ? 'electricity' : 'gas' };
+        }
+
+        const previousLine = text.slice(text.lastIndexOf('\n', lineStart - 2) + 1, lineStart);
+        const before = (PERIOD_HEADING.test(previousLine) ? previousLine : '') + text.slice(lineStart, match.index);
+        const labels = [...before.matchAll(PERIOD_LABEL)];
+        const label = labels[labels.length - 1];
+        if (label) {
+            return { match, commodity: label[1] ? 'electricity' : 'gas' };
+        }
+
+        return { match, commodity: null };
+    });
+}
+
+// "Service Class: SC1 Residential", "Service Classification No. 1 - Residential", "Rate Class: S.C. 2"
+const SERVICE_CLASS = /(?:Service\s+Class(?:ification)?|Rate\s+(?:Class|Schedule))(?:\s+No\.?)?:?\s*(?:S\.?\s*C\.?\s*(?:No\.?\s*)?-?\s*)?(\d{1,2}[A-Z]?)\b([^\n]*)/gi;
+
+// "Rate Plan: Residential Day/Night"
+const RATE_PLAN = /Rate\s+Plan:?[ \t]*([A-Za-z][^\n]*)/gi;
+
+// A commodity named before a service class or rate plan, e.g. "Natural Gas Service Class: SC1"
+const CLASS_LABEL = /\b(?:(Electric(?:ity)?)|(Gas))\b/gi;
+
+// Service class descriptions and rate plan names: words, not the next column's figures
+const PLAN_NAME = /^[A-Za-z][A-Za-z0-9 ,&/()'.-]*$/;
+
+/**
+ * Trim the words after a service class or rate plan label down to its name
+ * The name ends at a column gap or the next label on the row.
+ * @param {string} rest - Text after the label (or class code) on its row
+ * @returns {string|null}
+ */
+function planName(rest) {
+    const name = rest.replace(/^\s*[-–:,]\s*/, '').split(/\s{2,}|\s*(?:Rate\s+Plan|Service\s+Class)/i)[0].trim();
+    return name && name.length <= 40 && PLAN_NAME.test(name) ? name : null;
+}
+
+/**
+ * The commodity a label on the bill belongs to
+ * The nearest commodity named earlier on its row wins, then one named on the
+ * row above (a heading such as "Natural Gas Service").
+ * @param {string} text - Extracted PDF text
+ * @param {number} index - Offset of the label
+ * @returns {string|null} 'electricity', 'gas', or null for the whole bill
+ */
+function commodityBefore(text, index) {
+    const lineStart = text.lastIndexOf('\n', index) + 1;
+    const previousLine = text.slice(text.lastIndexOf('\n', lineStart - 2) + 1, lineStart);
+    for (const before of [text.slice(lineStart, index), previousLine]) {
+        const labels = [...before.matchAll(CLASS_LABEL)];
+        const label = labels[labels.length - 1];
+        if (label) return label[1] ? 'electricity' : 'gas';
+    }
+    return null;
+}
+
+/**
+ * Read each commodity's service class and rate plan
+ * One printed for the whole bill goes to every service the bill covers that
+ * doesn't print its own.
+ * @param {string} text - Extracted PDF text
+ * @param {Object} data - Bill data being extracted, with `services` set
+ */
+function applyServiceClasses(text, data) {
+    const found = { electricity: {}, gas: {}, bill: {} };
+
+    for (const match of text.matchAll(SERVICE_CLASS)) {
+        const target = found[commodityBefore(text, match.index) ?? 'bill'];
+        if (target.serviceClass) continue;
+        target.serviceClass = { value: { code: `SC${match[1].replace(/^0+(?=\d)/, '').toUpperCase()}`, description: planName(match[2]) }, match };
+    }
+    for (const match of text.matchAll(RATE_PLAN)) {
+        const target = found[commodityBefore(text, match.index) ?? 'bill'];
+        const name = planName(match[1]);
+        if (target.ratePlan || !name) continue;
+        target.ratePlan = { value: name, match };
+    }
+
+    for (const commodity of ['electricity', 'gas']) {
+        if (!data.services[commodity]) continue;
+        for (const field of ['serviceClass', 'ratePlan']) {
+            const entry = found[commodity][field] ?? found.bill[field];
+            if (!entry) continue;
+            data[commodity][field] = entry.value;
+            recordSource(data.provenance, `${commodity}.${field}`, field === 'serviceClass' ? 'service-class' : 'rate-plan', entry.match);
+        }
+    }
+}
+
+/**
+ * Whole days from one date to another
+ * @param {Date} start
+ * @param {Date} end
+ * @returns {number}
+ */
+function daysBetween(start, end) {
+    return Math.ceil(Math.abs(end - start) / (1000 * 60 * 60 * 24));
+}
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Work out the date a month-split rate segment took effect
+ * The first segment starts with the service period; later segments start on
+ * the first of their labeled month, which must fall inside the period.
+ * @param {string} monthLabel - Month suffix from the charge line (e.g. "Apr")
+ * @param {number} index - Position of the segment on the bill
+ * @param {Object} servicePeriod - Bill service period
+ * @returns {Date|null}
+ */
+function segmentStartDate(monthLabel, index, servicePeriod) {
+    const { start, end } = servicePeriod;
+    if (!start) return null;
+    if (index === 0) return start;
+
+    const monthIndex = MONTH_NAMES.indexOf(monthLabel.slice(0, 3).toLowerCase());
+    if (monthIndex < 0) return null;
+
+    let candidate = new Date(start.getFullYear(), monthIndex, 1);
+    if (candidate < start) {
+        candidate = new Date(start.getFullYear() + 1, monthIndex, 1);
+    }
+    return !end || candidate <= end ? candidate : null;
+}
+
+/**
+ * Store month-split rate segments on a commodity and collapse them into the
+ * usage-weighted rate and total charge used by the single-value fields
+ * @param {Object} target - data.electricity or data.gas
+ * @param {string} name - Charge name (e.g. 'delivery', 'supply')
+ * @param {Array<{month: string, usage: number, rate: number, charge: number}>} segments
+ * @param {Object} servicePeriod - Bill service period
+ */
+function applyRateSegments(target, name, segments, servicePeriod) {
+    const totalUsage = segments.reduce((sum, seg) => sum + seg.usage, 0);
+    const weightedRate = segments.reduce((sum, seg) => sum + seg.usage * seg.rate, 0);
+
+    target[`${name}Rate`] = totalUsage > 0 ? weightedRate / totalUsage : null;
+    target[`${name}Charge`] = segments.reduce((sum, seg) => sum + seg.charge, 0);
+    target.rateSegments[name] = segments.map((seg, i) => ({
+        ...seg,
+        start: segmentStartDate(seg.month, i, servicePeriod)
+    }));
+}
+
+// History table month label: "Jan-25", "Jan 25", "Jan '25" or "January 2025"
+const HISTORY_MONTH = `(${MONTH})[-\\s']+(\\d{4}|\\d{2})\\b`;
+
+// History table headings, per commodity
+const HISTORY_COMMODITIES = {
+    electricity: 'Electric(?:ity)?',
+    gas: '(?:Natural\\s+)?Gas'
+};
+
+// Lines allowed between a history heading and its first row (column headers)
+const HISTORY_HEADER_LINES = 2;
+
+// Headings that close a history table
+const HISTORY_END = '(?:Electric(?:ity)?|(?:Natural\\s+)?Gas)\\s+(?:Daily\\s+Average\\s+Comparisons|Usage\\s+History)|Meter\\s+Number|Account\\s+Summary';
+
+/**
+ * Turn a history month label into the first day of that month
+ * @param {string} monthLabel - e.g. "Jan"
+ * @param {string} yearLabel - e.g. "25" or "2025"
+ * @returns {Date|null}
+ */
+function parseHistoryMonth(monthLabel, yearLabel) {
+    const monthIndex = MONTH_NAMES.indexOf(monthLabel.slice(0, 3).toLowerCase());
+    if (monthIndex < 0) return null;
+    const year = parseInt(yearLabel);
+    return new Date(year < 100 ? 2000 + year : year, monthIndex, 1);
+}
+
+/**
+ * Text of every history table with a given heading, per commodity
+ * A table runs from its heading through the last of the consecutive lines
+ * that have a month, so unrelated dates further down aren't read as history.
+ * @param {string} text - Extracted PDF text
+ * @param {string} heading - Regex for the table heading after the commodity name
+ * @returns {Array<{commodity: string, body: string}>}
+ */
+function findHistoryTables(text, heading) {
+    const monthLine = new RegExp(HISTORY_MONTH, 'i');
+    const tables = [];
+    for (const [commodity, label] of Object.entries(HISTORY_COMMODITIES)) {
+        const regex = new RegExp(`(?:^|[^A-Za-z])(?:${label})\\s+${heading}([\\s\\S]*?)(?=${HISTORY_END}|$)`, 'gi');
+        for (const match of text.matchAll(regex)) {
+            // Keep the heading line, then month rows until the first line
+            // without one, allowing for a column header line before them
+            const [headingLine, ...lines] = match[1].split('\n');
+            const rows = [];
+            let skipped = 0;
+            for (const line of lines) {
+                if (monthLine.test(line)) {
+                    rows.push(line);
+                } else if (rows.length > 0 || ++skipped > HISTORY_HEADER_LINES) {
+                    break;
+                }
+            }
+            tables.push({ commodity, body: [headingLine, ...rows].join('\n') });
+        }
+    }
+    return tables;
+}
+
+/**
+ * Extract the usage history printed on the bill
+ * Reads the monthly "Usage History" table ("Jan-25 3990 kwh", "Jan-25 44 therms")
+ * and the "Daily Average Comparisons" table, which has this period and the
+ * same period last year ("Jan-25 30 days 133 kwh 27° F"). Rows for the same
+ * month are merged.
+ * @param {string} text - Extracted PDF text
+ * @returns {{electricity: Array<Object>, gas: Array<Object>}} Rows of
+ *     {month, usage, unit, days, dailyUsage, temperature} per commodity,
+ *     oldest first, where month is the first day of the usage month and
+ *     unit is 'kwh', 'therms' or 'ccf'
+ */
+function extractUsageHistory(text) {
+    const history = { electricity: new Map(), gas: new Map() };
+
+    const rowFor = (commodity, month) => {
+        const key = month.getTime();
+        if (!history[commodity].has(key)) {
+            history[commodity].set(key, { month, usage: null, unit: null, days: null, dailyUsage: null, temperature: null });
+        }
+        return history[commodity].get(key);
+    };
+    const unitName = unit => unit.toLowerCase().startsWith('therm') ? 'therms' : unit.toLowerCase();
+
+    // "Jan-25 3990 kwh" or "Jan-25 3,990"
+    const usageRow = new RegExp(`${HISTORY_MONTH}\\s+([\\d,]*\\.?\\d+)(?![\\d.,])(?:\\s*${UNIT})?(?!\\s*(?:°|days?\\b))`, 'gi');
+    for (const { commodity, body } of findHistoryTables(text, 'Usage\\s+History')) {
+        for (const match of body.matchAll(usageRow)) {
+            const month = parseHistoryMonth(match[1], match[2]);
+            if (!month) continue;
+            const row = rowFor(commodity, month);
+            row.usage = parseNumber(match[3]);
+            row.unit = match[4] ? unitName(match[4]) : (commodity === 'electricity' ? 'kwh' : 'therms');
+        }
+    }
+
+    // "Jan-25 133 kwh 27° F", optionally with the days in the period
+    const comparisonRow = new RegExp(`${HISTORY_MONTH}\\s+(?:(\\d+)\\s+days?\\s+)?([\\d,]*\\.?\\d+)\\s*${UNIT}\\s+(-?\\d+)°?\\s*F`, 'gi');
+    for (const { commodity, body } of findHistoryTables(text, 'Daily\\s+Average\\s+Comparisons')) {
+        for (const match of body.matchAll(comparisonRow)) {
+            const month = parseHistoryMonth(match[1], match[2]);
+            if (!month) continue;
+            const row = rowFor(commodity, month);
+            row.days = match[3] ? parseInt(match[3]) : row.days;
+            row.temperature = parseInt(match[6]);
+            // Daily usage shares the unit of the monthly figure, so skip it if the tables disagree
+            if (row.unit === null || row.unit === unitName(match[5])) {
+                row.unit = unitName(match[5]);
+                row.dailyUsage = parseNumber(match[4]);
+            }
+        }
+    }
+
+    const byMonth = rows => [...rows.values()].sort((a, b) => a.month - b.month);
+    return {
+        electricity: byMonth(history.electricity),
+        gas: byMonth(history.gas)
+    };
+}
+
+// Where each field is read from on the bill, used to explain fields that weren't found
+const FIELD_SOURCES = {
+    'statementDate': '"Statement Date"',
+    'servicePeriod.start': 'service period date range',
+    'servicePeriod.end': 'service period date range',
+    'servicePeriod.days': 'billing days count',
+    'averageDailyTemp': 'average daily temperature',
+    'electricity.usage': 'kWh usage line',
+    'electricity.basicServiceCharge': 'electric "Basic service charge" line',
+    'electricity.deliveryRate': 'electric "Delivery charge" line',
+    'electricity.deliveryCharge': 'electric "Delivery charge" line',
+    'electricity.transitionRate': '"Transition charge" line',
+    'electricity.transitionCharge': '"Transition charge" line',
+    'electricity.sbcRate': '"SBC charge" line',
+    'electricity.sbcCharge': '"SBC charge" line',
+    'electricity.supplyRate': 'electric "Supply charge" line',
+    'electricity.supplyCharge': 'electric "Supply charge" line',
+    'electricity.totalDelivery': '"Subtotal Electricity Delivery"',
+    'electricity.totalSupply': '"Subtotal Electricity Supply"',
+    'electricity.totalTaxes': '"Subtotal Electricity Taxes and Surcharges"',
+    'electricity.totalCost': '"Total Electricity Cost"',
+    'electricity.meter': 'electric meter reading',
+    'gas.usageCcf': '"Natural gas used (ccf)"',
+    'gas.usageTherms': '"Natural gas used (therm)"',
+    'gas.basicServiceCharge': 'gas "Basic service charge" line',
+    'gas.deliveryRate': 'gas "Delivery charge" line',
+    'gas.deliveryCharge': 'gas "Delivery charge" line',
+    'gas.supplyRate': 'gas "Supply charge" line',
+    'gas.supplyCharge': 'gas "Supply charge" line',
+    'gas.totalDelivery': '"Subtotal Natural Gas Delivery"',
+    'gas.totalSupply': '"Subtotal Natural Gas Supply"',
+    'gas.totalTaxes': '"Subtotal Natural Gas Taxes and Surcharges"',
+    'gas.totalCost': '"Total Natural Gas Cost"',
+    'gas.meter': 'gas meter reading',
+    'totalEnergyCharges': '"Total Energy Charges"',
+    'miscellaneousCharges': '"Total Miscellaneous Charges"',
+    'amountDue': '"Amount Due"',
+    'accountActivity.previousBalance': '"Previous Balance"',
+    'accountActivity.paymentsTotal': '"Payment Received" line',
+    'accountActivity.adjustments': '"Adjustments" line',
+    'accountActivity.latePaymentCharges': '"Late Payment Charge" line',
+    'accountActivity.balanceForward': '"Balance Forward"',
+    'accountActivity.dueDate': 'due date'
+};
+
+/**
+ * Work out which services the bill covers and record a reason for every
+ * expected field that is still null
+ * Fields of a service the bill doesn't cover aren't reported as missing.
+ * @param {Object} data - Bill data being extracted
+ */
+function recordMissingFields(data) {
+    for (const commodity of ['electricity', 'gas']) {
+        data.services[commodity] = Object.keys(FIELD_SOURCES).some(path =>
+            path.startsWith(commodity + '.') && getField(data, path) !== null
+        );
+    }
+
+    for (const [path, source] of Object.entries(FIELD_SOURCES)) {
+        const commodity = path.split('.')[0];
+        if (commodity in data.services && !data.services[commodity]) continue;
+        if (getField(data, path) === null) {
+            data.missing[path] = `No ${source} found`;
+        }
+    }
+}
+
+/**
+ * Check whether PDF text is a NYSEG bill
+ * @param {string} text - Extracted PDF text
+ * @returns {boolean}
+ */
+export function detectNysegBill(text) {
+    return /\bNYSEG\b|New\s+York\s+State\s+Electric\s*(?:&|and)\s*Gas/i.test(text);
+}
+
 /**
  * Extract account information from PDF text
+ * The name and addresses come from the address blocks' positions on the page
+ * when positioned text is available, otherwise from the plain text's lines.
  * @param {string} text - Extracted PDF text
- * @returns {Object} Account info
+ * @param {Object|null} [textLayout] - Positioned text from buildTextLayout
+ * @returns {Object} Account number, customer name, service and mailing
+ *     addresses (one line each, plus their parsed parts in `addresses`), and
+ *     why any of them is a guess in `uncertain`, keyed by field
  */
-export function extractAccountInfo(text) {
+export function extractAccountInfo(text, textLayout = null) {
     const info = {
         accountNumber: '',
         customerName: '',
-        serviceAddress: ''
+        serviceAddress: '',
+        mailingAddress: '',
+        addresses: { mailing: null, service: null },
+        uncertain: {}
     };
 
     // Account Number - NYSEG format: "XXXX-XXXX-XXX" (4-4-3 with dashes)
@@ -78,96 +1334,67 @@ export function extractAccountInfo(text) {
         info.accountNumber = accountMatch[1].trim();
     }
 
-    // Customer Name - all caps name, typically "FIRSTNAME LASTNAME"
-    // Exclude common address/utility words
-    const nameMatch = text.match(/\b([A-Z][A-Z]+\s+[A-Z][A-Z]+)\b/g);
-    if (nameMatch) {
-        const excludeWords = [
-            // Street suffixes
-            'ST', 'RD', 'AVE', 'DR', 'LN', 'CT', 'WAY', 'BLVD', 'PL', 'CIR', 'DRIVE', 'STREET', 'ROAD', 'AVENUE', 'LANE', 'COURT',
-            // Locations
-            'BOSTON', 'LANSING', 'NY', 'MA',
-            // Utility terms
-            'NYSEG', 'SERVICE', 'ACCOUNT', 'STATEMENT', 'BUDGET', 'BILLING', 'PAYMENT', 'AUTOPAY',
-            'RESIDENTIAL', 'SUMMARY', 'BALANCE', 'PROJECT', 'SHARE', 'HEATING', 'FUND', 'PAGE',
-            'BANK', 'ENERGY', 'ELECTRIC', 'NATURAL', 'GAS', 'DELIVERY', 'SUPPLY', 'TOTAL', 'AMOUNT'
-        ];
-        for (const match of nameMatch) {
-            const words = match.split(/\s+/);
-            const isExcluded = words.some(w => excludeWords.includes(w) || w.length < 2);
-            if (!isExcluded && words.length === 2) {
-                info.customerName = match;
-                break;
-            }
-        }
-    }
-
-    // Service Address - look for street address pattern
-    // Format: "123 STREET NAME DR/ST/etc" followed by city/state
-    const addressMatch = text.match(/(\d+\s+[A-Z][A-Z\s]+(?:ST|RD|AVE|DR|LN|CT|WAY|BLVD|PL|CIR)\.?),?\s*([A-Z][A-Z]+,?\s*NY\s*\d{5})/i);
-    if (addressMatch) {
-        info.serviceAddress = (addressMatch[1] + ', ' + addressMatch[2]).trim();
-    }
+    // Name and addresses from the mailing and service address blocks
+    const { mailing, service, uncertain } = parseAddresses(textLayout ?? buildPlainTextLayout(text), UTILITY_ADDRESS);
+    info.customerName = mailing?.name ?? service?.name ?? '';
+    info.mailingAddress = formatAddress(mailing);
+    info.serviceAddress = formatAddress(service);
+    info.addresses = { mailing, service };
+    info.uncertain = uncertain;
 
     return info;
 }
 
-export function extractBillData(text, fileName) {
-    const data = {
-        fileName,
-        statementDate: null,
-        servicePeriod: {
-            start: null,
-            end: null,
-            days: 0
-        },
-        averageDailyTemp: null,  // Average daily temperature in °F
-        electricity: {
-            usage: 0,
-            basicServiceCharge: 0,
-            deliveryRate: 0,
-            deliveryCharge: 0,
-            transitionRate: 0,
-            transitionCharge: 0,
-            sbcRate: 0,
-            sbcCharge: 0,
-            supplyRate: 0,
-            supplyCharge: 0,
-            totalDelivery: 0,
-            totalSupply: 0,
-            totalTaxes: 0,
-            totalCost: 0
-        },
-        gas: {
-            usageCcf: 0,
-            usageTherms: 0,
-            basicServiceCharge: 0,
-            deliveryRate: 0,
-            deliveryCharge: 0,
-            supplyRate: 0,
-            supplyCharge: 0,
-            totalDelivery: 0,
-            totalSupply: 0,
-            totalTaxes: 0,
-            totalCost: 0
-        },
-        totalEnergyCharges: 0,
-        miscellaneousCharges: 0,
-        amountDue: 0
-    };
+/**
+ * Extract bill data from PDF text
+ * @param {string} text - Extracted PDF text
+ * @param {string} fileName - Original file name for reference
+ * @param {Object|null} [textLayout] - Positioned text from buildTextLayout, when the parser provides it
+ * @returns {Object} Extracted bill data
+ */
+export function extractBillData(text, fileName, textLayout = null) {
+    const data = createBill(fileName);
+
+    // Pick the rule set for the template era this bill was printed in
+    const layout = detectLayout(text);
+    const { labels, rate } = layout;
+    data.layout = { id: layout.id, label: layout.label };
+
+    // Note which rule read each field and where, for the extraction inspector
+    const source = (paths, rule, match) => recordSource(data.provenance, paths, rule, match);
 
     // Statement Date - format: "Statement Date: February 11, 2025"
-    const statementDateMatch = text.match(/Statement\s+Date:?\s*(\w+\s+\d{1,2},?\s+\d{4})/i);
+    const statementDateMatch = text.match(new RegExp(`${labels.statementDate}:?\\s*(\\w+\\s+\\d{1,2},?\\s+\\d{4})`, 'i'));
     if (statementDateMatch) {
         data.statementDate = parseDate(statementDateMatch[1]);
+        source('statementDate', 'statement-date', statementDateMatch);
     }
 
     // Service Period - may be on separate line from "Service from:"
-    // Look for pattern: "01/09/25 - 02/07/25"
-    const servicePeriodMatch = text.match(/(\d{2}\/\d{2}\/\d{2})\s*-\s*(\d{2}\/\d{2}\/\d{2})/);
-    if (servicePeriodMatch) {
-        data.servicePeriod.start = parseDate(servicePeriodMatch[1]);
-        data.servicePeriod.end = parseDate(servicePeriodMatch[2]);
+    // Look for pattern: "01/09/25 - 02/07/25". Combined bills may print one
+    // per commodity when the meters are read on different days
+    const servicePeriods = findServicePeriods(text);
+    const billPeriod = servicePeriods.find(period => period.commodity === null)
+        ?? servicePeriods.find(period => period.commodity === 'electricity')
+        ?? servicePeriods[0];
+    if (billPeriod) {
+        data.servicePeriod.start = parseDate(billPeriod.match[1]);
+        data.servicePeriod.end = parseDate(billPeriod.match[2]);
+        source(['servicePeriod.start', 'servicePeriod.end'], 'service-period', billPeriod.match);
+    }
+    for (const commodity of ['electricity', 'gas']) {
+        const period = servicePeriods.find(p => p.commodity === commodity);
+        if (!period) continue;
+
+        const target = data[commodity].servicePeriod;
+        target.start = parseDate(period.match[1]);
+        target.end = parseDate(period.match[2]);
+        const paths = [`${commodity}.servicePeriod.start`, `${commodity}.servicePeriod.end`];
+        if (period.match[3]) {
+            target.days = parseInt(period.match[3]);
+            paths.push(`${commodity}.servicePeriod.days`);
+        }
+        source(paths, 'commodity-service-period', period.match);
     }
 
     // Billing Period (days) and kWh - format: "30 days 3990 kwh" or "3990 kwh 30 days"
@@ -175,20 +1402,29 @@ export function extractBillData(text, fileName) {
     if (daysKwhMatch) {
         data.servicePeriod.days = parseInt(daysKwhMatch[1]);
         data.electricity.usage = parseInt(daysKwhMatch[2]);
+        source(['servicePeriod.days', 'electricity.usage'], 'days-kwh', daysKwhMatch);
     } else {
         const kwhDaysMatch = text.match(/(\d+)\s*kwh\s+(\d+)\s*days/i);
         if (kwhDaysMatch) {
             data.electricity.usage = parseInt(kwhDaysMatch[1]);
             data.servicePeriod.days = parseInt(kwhDaysMatch[2]);
+            source(['electricity.usage', 'servicePeriod.days'], 'kwh-days', kwhDaysMatch);
         }
     }
 
+    // Or the day count printed after the period's dates: "01/09/25 - 02/07/25   30 days"
+    if (data.servicePeriod.days === null && billPeriod?.match[3]) {
+        data.servicePeriod.days = parseInt(billPeriod.match[3]);
+        source('servicePeriod.days', 'service-period', billPeriod.match);
+    }
+
     // === ELECTRICITY ===
 
     // Basic Service Charge - format: "Basic service charge   19.00"
     const elecBasicMatch = text.match(/Basic\s+service\s+charge\s+([\d,.]+)/i);
     if (elecBasicMatch) {
         data.electricity.basicServiceCharge = parseNumber(elecBasicMatch[1]);
+        source('electricity.basicServiceCharge', 'basic-service-charge', elecBasicMatch);
     }
 
     // Delivery Charge - two possible formats:
@@ -197,118 +1433,109 @@ export function extractBillData(text, fileName) {
     //                    "Delivery charge - April    567   kwh   09783 @   0.    56.78"
 
     // Try simple format first
-    const deliveryMatch = text.match(/(\d+)\s+kwh\s+(\d+)\s*@\s*0\.\s*Delivery\s+charge\s+([\d,.]+)/i);
+    const deliveryMatch = text.match(new RegExp(`(\\d+)\\s+kwh\\s+${rate.pattern}\\s*Delivery\\s+charge\\s+([\\d,.]+)`, 'i'));
     if (deliveryMatch) {
-        data.electricity.deliveryRate = reconstructRate(deliveryMatch[2]);
+        data.electricity.deliveryRate = rate.parse(deliveryMatch[2]);
         data.electricity.deliveryCharge = parseNumber(deliveryMatch[3]);
+        source(['electricity.deliveryRate', 'electricity.deliveryCharge'], 'delivery-charge', deliveryMatch);
     }
 
     // Try split-by-month format if simple didn't work
     // Actual format from PDF.js: "1297 kwh   07894 @   0. Delivery charge - Apr   102.39"
     // Pattern: {kwh} kwh {rate_digits} @ 0. Delivery charge - {Month} {charge}
-    if (data.electricity.deliveryRate === 0) {
-        const deliveryMonthMatches = [...text.matchAll(/(\d+)\s+kwh\s+(\d+)\s*@\s*0\.\s*Delivery\s+charge\s*-\s*\w+\s+([\d,.]+)/gi)];
+    if (data.electricity.deliveryRate === null) {
+        const deliveryMonthMatches = [...text.matchAll(new RegExp(`(\\d+)\\s+kwh\\s+${rate.pattern}\\s*Delivery\\s+charge\\s*-\\s*(\\w+)\\s+([\\d,.]+)`, 'gi'))];
         if (deliveryMonthMatches.length > 0) {
-            let totalKwh = 0;
-            let weightedRate = 0;
-            let totalCharge = 0;
-
-            for (const match of deliveryMonthMatches) {
-                const kwh = parseInt(match[1]);
-                const rate = reconstructRate(match[2]);
-                const charge = parseNumber(match[3]);
-                totalKwh += kwh;
-                weightedRate += kwh * rate;
-                totalCharge += charge;
-            }
-
-            data.electricity.deliveryRate = totalKwh > 0 ? weightedRate / totalKwh : 0;
-            data.electricity.deliveryCharge = totalCharge;
+            const segments = deliveryMonthMatches.map(match => ({
+                month: match[3],
+                usage: parseInt(match[1]),
+                rate: rate.parse(match[2]),
+                charge: parseNumber(match[4])
+            }));
+            applyRateSegments(data.electricity, 'delivery', segments, servicePeriodFor(data, 'electricity'));
+            source(['electricity.deliveryRate', 'electricity.deliveryCharge'], 'delivery-charge-month', deliveryMonthMatches);
         }
     }
 
     // Transition Charge - format: "{kwh} kwh {rate_digits} @ 0. Transition charge {charge}"
     // Or with month: "{kwh} kwh {rate_digits} @ 0. Transition charge - {Month} {charge}"
-    const transitionMatch = text.match(/(\d+)\s+kwh\s+(\d+)\s*@\s*0\.\s*Transition\s+charge\s+([\d,.]+)/i);
+    const transitionMatch = text.match(new RegExp(`(\\d+)\\s+kwh\\s+${rate.pattern}\\s*Transition\\s+charge\\s+([\\d,.]+)`, 'i'));
     if (transitionMatch) {
-        data.electricity.transitionRate = reconstructRate(transitionMatch[2]);
+        data.electricity.transitionRate = rate.parse(transitionMatch[2]);
         data.electricity.transitionCharge = parseNumber(transitionMatch[3]);
+        source(['electricity.transitionRate', 'electricity.transitionCharge'], 'transition-charge', transitionMatch);
     }
-    if (data.electricity.transitionRate === 0) {
-        const transitionMonthMatches = [...text.matchAll(/(\d+)\s+kwh\s+(\d+)\s*@\s*0\.\s*Transition\s+charge\s*-\s*\w+\s+([\d,.]+)/gi)];
+    if (data.electricity.transitionRate === null) {
+        const transitionMonthMatches = [...text.matchAll(new RegExp(`(\\d+)\\s+kwh\\s+${rate.pattern}\\s*Transition\\s+charge\\s*-\\s*(\\w+)\\s+([\\d,.]+)`, 'gi'))];
         if (transitionMonthMatches.length > 0) {
-            let totalKwh = 0;
-            let weightedRate = 0;
-            let totalCharge = 0;
-            for (const match of transitionMonthMatches) {
-                const kwh = parseInt(match[1]);
-                const rate = reconstructRate(match[2]);
-                const charge = parseNumber(match[3]);
-                totalKwh += kwh;
-                weightedRate += kwh * rate;
-                totalCharge += charge;
-            }
-            data.electricity.transitionRate = totalKwh > 0 ? weightedRate / totalKwh : 0;
-            data.electricity.transitionCharge = totalCharge;
+            const segments = transitionMonthMatches.map(match => ({
+                month: match[3],
+                usage: parseInt(match[1]),
+                rate: rate.parse(match[2]),
+                charge: parseNumber(match[4])
+            }));
+            applyRateSegments(data.electricity, 'transition', segments, servicePeriodFor(data, 'electricity'));
+            source(['electricity.transitionRate', 'electricity.transitionCharge'], 'transition-charge-month', transitionMonthMatches);
         }
     }
 
     // SBC Charge - format: "{kwh} kwh {rate_digits} @ 0. SBC charge {charge}"
     // Or with month: "{kwh} kwh {rate_digits} @ 0. SBC charge - {Month} {charge}"
-    const sbcMatch = text.match(/(\d+)\s+kwh\s+(\d+)\s*@\s*0\.\s*SBC\s+charge\s+([\d,.]+)/i);
+    const sbcMatch = text.match(new RegExp(`(\\d+)\\s+kwh\\s+${rate.pattern}\\s*SBC\\s+charge\\s+([\\d,.]+)`, 'i'));
     if (sbcMatch) {
-        data.electricity.sbcRate = reconstructRate(sbcMatch[2]);
+        data.electricity.sbcRate = rate.parse(sbcMatch[2]);
         data.electricity.sbcCharge = parseNumber(sbcMatch[3]);
+        source(['electricity.sbcRate', 'electricity.sbcCharge'], 'sbc-charge', sbcMatch);
     }
-    if (data.electricity.sbcRate === 0) {
-        const sbcMonthMatches = [...text.matchAll(/(\d+)\s+kwh\s+(\d+)\s*@\s*0\.\s*SBC\s+charge\s*-\s*\w+\s+([\d,.]+)/gi)];
+    if (data.electricity.sbcRate === null) {
+        const sbcMonthMatches = [...text.matchAll(new RegExp(`(\\d+)\\s+kwh\\s+${rate.pattern}\\s*SBC\\s+charge\\s*-\\s*(\\w+)\\s+([\\d,.]+)`, 'gi'))];
         if (sbcMonthMatches.length > 0) {
-            let totalKwh = 0;
-            let weightedRate = 0;
-            let totalCharge = 0;
-            for (const match of sbcMonthMatches) {
-                const kwh = parseInt(match[1]);
-                const rate = reconstructRate(match[2]);
-                const charge = parseNumber(match[3]);
-                totalKwh += kwh;
-                weightedRate += kwh * rate;
-                totalCharge += charge;
-            }
-            data.electricity.sbcRate = totalKwh > 0 ? weightedRate / totalKwh : 0;
-            data.electricity.sbcCharge = totalCharge;
+            const segments = sbcMonthMatches.map(match => ({
+                month: match[3],
+                usage: parseInt(match[1]),
+                rate: rate.parse(match[2]),
+                charge: parseNumber(match[4])
+            }));
+            applyRateSegments(data.electricity, 'sbc', segments, servicePeriodFor(data, 'electricity'));
+            source(['electricity.sbcRate', 'electricity.sbcCharge'], 'sbc-charge-month', sbcMonthMatches);
         }
     }
 
     // Subtotal Electricity Delivery
-    const elecDeliveryTotalMatch = text.match(/Subtotal\s+Electricity\s+Delivery\s+\$?([\d,.]+)/i);
+    const elecDeliveryTotalMatch = text.match(new RegExp(`${labels.subtotal}\\s+${labels.electricity}\\s+Delivery\\s+\\$?([\\d,.]+)`, 'i'));
     if (elecDeliveryTotalMatch) {
         data.electricity.totalDelivery = parseNumber(elecDeliveryTotalMatch[1]);
+        source('electricity.totalDelivery', 'subtotal-delivery', elecDeliveryTotalMatch);
     }
 
     // Supply Charge - format: "Supply charge   3990   kwh   08395531 @   0.   334.98"
     // Note: Supply charge format is different - "Supply charge" comes BEFORE the kwh
-    const supplyMatch = text.match(/Supply\s+charge\s+(\d+)\s+kwh\s+(\d+)\s*@\s*0\.\s+([\d,.]+)/i);
+    const supplyMatch = text.match(new RegExp(`Supply\\s+charge\\s+(\\d+)\\s+kwh\\s+${rate.pattern}\\s+([\\d,.]+)`, 'i'));
     if (supplyMatch) {
-        data.electricity.supplyRate = reconstructRate(supplyMatch[2]);
+        data.electricity.supplyRate = rate.parse(supplyMatch[2]);
         data.electricity.supplyCharge = parseNumber(supplyMatch[3]);
+        source(['electricity.supplyRate', 'electricity.supplyCharge'], 'supply-charge', supplyMatch);
     }
 
     // Subtotal Electricity Supply
-    const elecSupplyTotalMatch = text.match(/Subtotal\s+Electricity\s+Supply\s+\$?([\d,.]+)/i);
+    const elecSupplyTotalMatch = text.match(new RegExp(`${labels.subtotal}\\s+${labels.electricity}\\s+Supply\\s+\\$?([\\d,.]+)`, 'i'));
     if (elecSupplyTotalMatch) {
         data.electricity.totalSupply = parseNumber(elecSupplyTotalMatch[1]);
+        source('electricity.totalSupply', 'subtotal-supply', elecSupplyTotalMatch);
     }
 
     // Electricity Taxes
-    const elecTaxMatch = text.match(/Subtotal\s+Electricity\s+Taxes\s+and\s+Surcharges\s+\$?([\d,.]+)/i);
+    const elecTaxMatch = text.match(new RegExp(`${labels.subtotal}\\s+${labels.electricity}\\s+Taxes\\s+and\\s+Surcharges\\s+\\$?([\\d,.]+)`, 'i'));
     if (elecTaxMatch) {
         data.electricity.totalTaxes = parseNumber(elecTaxMatch[1]);
+        source('electricity.totalTaxes', 'subtotal-taxes', elecTaxMatch);
     }
 
     // Total Electricity Cost
-    const elecTotalMatch = text.match(/Total\s+Electricity\s+Cost\s+\$?([\d,.]+)/i);
+    const elecTotalMatch = text.match(new RegExp(`Total\\s+${labels.electricity}\\s+${labels.commodityTotal}\\s+\\$?([\\d,.]+)`, 'i'));
     if (elecTotalMatch) {
         data.electricity.totalCost = parseNumber(elecTotalMatch[1]);
+        source('electricity.totalCost', 'commodity-total', elecTotalMatch);
     }
 
     // === NATURAL GAS ===
@@ -317,20 +1544,39 @@ export function extractBillData(text, fileName) {
     const gasCcfMatch = text.match(/Natural\s+gas\s+used\s*\(ccf\)\s*([\d.]+)/i);
     if (gasCcfMatch) {
         data.gas.usageCcf = parseNumber(gasCcfMatch[1]);
+        source('gas.usageCcf', 'gas-used-ccf', gasCcfMatch);
     }
 
     // Gas Usage in Therms - format: "Natural gas used (therm)   47.2"
     const gasThermMatch = text.match(/Natural\s+gas\s+used\s*\(therm\)\s*([\d.]+)/i);
     if (gasThermMatch) {
         data.gas.usageTherms = parseNumber(gasThermMatch[1]);
+        source('gas.usageTherms', 'gas-used-therms', gasThermMatch);
+    }
+
+    // Therm factor linking the two - "Therm factor 1.0279" or "BTU factor 1028"
+    const thermFactorMatch = text.match(THERM_FACTOR);
+    if (thermFactorMatch) {
+        data.gas.thermFactor = parseThermFactor(thermFactorMatch[1] ?? thermFactorMatch[2]);
+        source('gas.thermFactor', 'therm-factor', thermFactorMatch);
+    }
+
+    // Without the therm line, work therms out from CCF so gas rates and
+    // usage still chart; the typical factor stands in when none is printed
+    if (data.gas.usageTherms === null && data.gas.usageCcf !== null) {
+        const factor = data.gas.thermFactor ?? TYPICAL_THERM_FACTOR;
+        data.gas.usageTherms = Math.round(data.gas.usageCcf * factor * 10) / 10;
+        data.gas.thermsDerived = data.gas.thermFactor !== null ? 'factor' : 'typical';
+        recordDerived(data.provenance, 'gas.usageTherms', `CCF × ${data.gas.thermsDerived} therm factor ${factor}`);
     }
 
     // Gas Basic Service Charge - need to find it in gas section
     // Format: "Basic service charge   20.30" (but must be in gas section)
     // Look for pattern after "Natural Gas Delivery Charges"
-    const gasBasicMatch = text.match(/Natural\s+Gas\s+Delivery\s+Charges[\s\S]*?Basic\s+service\s+charge\s+([\d,.]+)/i);
+    const gasBasicMatch = text.match(new RegExp(`${labels.gas}\\s+Delivery\\s+Charges[\\s\\S]*?Basic\\s+service\\s+charge\\s+([\\d,.]+)`, 'i'));
     if (gasBasicMatch) {
         data.gas.basicServiceCharge = parseNumber(gasBasicMatch[1]);
+        source('gas.basicServiceCharge', 'gas-basic-service-charge', gasBasicMatch);
     }
 
     // Gas Delivery Charge - formats:
@@ -338,29 +1584,25 @@ export function extractBillData(text, fileName) {
     // With month: "Delivery charge - Apr   16.5   therm   73822 @   0.   12.18"
 
     // Try simple format (no month): "Delivery charge {therms} therm {rate_digits} @ 0. {charge}"
-    const gasDeliverySimple = text.match(/Delivery\s+charge\s+([\d.]+)\s+therm\s+(\d+)\s*@\s*0\.\s+([\d,.]+)/i);
+    const gasDeliverySimple = text.match(new RegExp(`Delivery\\s+charge\\s+([\\d.]+)\\s+therm\\s+${rate.pattern}\\s+([\\d,.]+)`, 'i'));
     if (gasDeliverySimple) {
-        data.gas.deliveryRate = reconstructRate(gasDeliverySimple[2]);
+        data.gas.deliveryRate = rate.parse(gasDeliverySimple[2]);
         data.gas.deliveryCharge = parseNumber(gasDeliverySimple[3]);
+        source(['gas.deliveryRate', 'gas.deliveryCharge'], 'gas-delivery-charge', gasDeliverySimple);
     }
 
     // Try multi-month format if simple didn't work
-    if (data.gas.deliveryRate === 0) {
-        const gasDeliveryMonthMatches = [...text.matchAll(/Delivery\s+charge\s*-\s*\w+\s+([\d.]+)\s+therm\s+(\d+)\s*@\s*0\.\s+([\d,.]+)/gi)];
+    if (data.gas.deliveryRate === null) {
+        const gasDeliveryMonthMatches = [...text.matchAll(new RegExp(`Delivery\\s+charge\\s*-\\s*(\\w+)\\s+([\\d.]+)\\s+therm\\s+${rate.pattern}\\s+([\\d,.]+)`, 'gi'))];
         if (gasDeliveryMonthMatches.length > 0) {
-            let totalTherms = 0;
-            let weightedRate = 0;
-            let totalCharge = 0;
-            for (const match of gasDeliveryMonthMatches) {
-                const therms = parseNumber(match[1]);
-                const rate = reconstructRate(match[2]);
-                const charge = parseNumber(match[3]);
-                totalTherms += therms;
-                weightedRate += therms * rate;
-                totalCharge += charge;
-            }
-            data.gas.deliveryRate = totalTherms > 0 ? weightedRate / totalTherms : 0;
-            data.gas.deliveryCharge = totalCharge;
+            const segments = gasDeliveryMonthMatches.map(match => ({
+                month: match[1],
+                usage: parseNumber(match[2]),
+                rate: rate.parse(match[3]),
+                charge: parseNumber(match[4])
+            }));
+            applyRateSegments(data.gas, 'delivery', segments, servicePeriodFor(data, 'gas'));
+            source(['gas.deliveryRate', 'gas.deliveryCharge'], 'gas-delivery-charge-month', gasDeliveryMonthMatches);
         }
     }
 
@@ -369,98 +1611,182 @@ export function extractBillData(text, fileName) {
     // Or with full decimal: "Supply charge - April 18.5 therm @ 0.61252 11.33"
 
     // Try format with split rate (rate_digits @ 0.)
-    const gasSupplyMatches = [...text.matchAll(/Supply\s+charge\s*-\s*\w+\s+([\d.]+)\s+therm\s+(\d+)\s*@\s*0\.\s+([\d,.]+)/gi)];
+    const gasSupplyMatches = [...text.matchAll(new RegExp(`Supply\\s+charge\\s*-\\s*(\\w+)\\s+([\\d.]+)\\s+therm\\s+${rate.pattern}\\s+([\\d,.]+)`, 'gi'))];
     if (gasSupplyMatches.length > 0) {
-        let totalTherms = 0;
-        let weightedRate = 0;
-        let totalCharge = 0;
-
-        for (const match of gasSupplyMatches) {
-            const therms = parseNumber(match[1]);
-            const rate = reconstructRate(match[2]);
-            const charge = parseNumber(match[3]);
-            totalTherms += therms;
-            weightedRate += therms * rate;
-            totalCharge += charge;
-        }
-
-        data.gas.supplyRate = totalTherms > 0 ? weightedRate / totalTherms : 0;
-        data.gas.supplyCharge = totalCharge;
+        const segments = gasSupplyMatches.map(match => ({
+            month: match[1],
+            usage: parseNumber(match[2]),
+            rate: rate.parse(match[3]),
+            charge: parseNumber(match[4])
+        }));
+        applyRateSegments(data.gas, 'supply', segments, servicePeriodFor(data, 'gas'));
+        source(['gas.supplyRate', 'gas.supplyCharge'], 'gas-supply-charge-month', gasSupplyMatches);
     }
 
     // Try format with full decimal rate if split format didn't work
-    if (data.gas.supplyRate === 0) {
-        const gasSupplyStdMatches = [...text.matchAll(/Supply\s+charge\s*-\s*\w+\s+([\d.]+)\s+therm\s*@\s*([\d.]+)\s+([\d,.]+)/gi)];
+    if (data.gas.supplyRate === null) {
+        const gasSupplyStdMatches = [...text.matchAll(/Supply\s+charge\s*-\s*(\w+)\s+([\d.]+)\s+therm\s*@\s*([\d.]+)\s+([\d,.]+)/gi)];
         if (gasSupplyStdMatches.length > 0) {
-            let totalTherms = 0;
-            let weightedRate = 0;
-            let totalCharge = 0;
-
-            for (const match of gasSupplyStdMatches) {
-                const therms = parseNumber(match[1]);
-                const rate = parseNumber(match[2]);
-                const charge = parseNumber(match[3]);
-                totalTherms += therms;
-                weightedRate += therms * rate;
-                totalCharge += charge;
-            }
-
-            data.gas.supplyRate = totalTherms > 0 ? weightedRate / totalTherms : 0;
-            data.gas.supplyCharge = totalCharge;
+            const segments = gasSupplyStdMatches.map(match => ({
+                month: match[1],
+                usage: parseNumber(match[2]),
+                rate: parseNumber(match[3]),
+                charge: parseNumber(match[4])
+            }));
+            applyRateSegments(data.gas, 'supply', segments, servicePeriodFor(data, 'gas'));
+            source(['gas.supplyRate', 'gas.supplyCharge'], 'gas-supply-charge-month', gasSupplyStdMatches);
         }
     }
 
     // Subtotal Natural Gas Delivery
-    const gasDeliveryTotalMatch = text.match(/Subtotal\s+Natural\s+Gas\s+Delivery\s+\$?([\d,.]+)/i);
+    const gasDeliveryTotalMatch = text.match(new RegExp(`${labels.subtotal}\\s+${labels.gas}\\s+Delivery\\s+\\$?([\\d,.]+)`, 'i'));
     if (gasDeliveryTotalMatch) {
         data.gas.totalDelivery = parseNumber(gasDeliveryTotalMatch[1]);
+        source('gas.totalDelivery', 'subtotal-delivery', gasDeliveryTotalMatch);
     }
 
     // Subtotal Natural Gas Supply
-    const gasSupplyTotalMatch = text.match(/Subtotal\s+Natural\s+Gas\s+Supply\s+\$?([\d,.]+)/i);
+    const gasSupplyTotalMatch = text.match(new RegExp(`${labels.subtotal}\\s+${labels.gas}\\s+Supply\\s+\\$?([\\d,.]+)`, 'i'));
     if (gasSupplyTotalMatch) {
         data.gas.totalSupply = parseNumber(gasSupplyTotalMatch[1]);
+        source('gas.totalSupply', 'subtotal-supply', gasSupplyTotalMatch);
     }
 
     // Gas Taxes
-    const gasTaxMatch = text.match(/Subtotal\s+Natural\s+Gas\s+Taxes\s+and\s+Surcharges\s+\$?([\d,.]+)/i);
+    const gasTaxMatch = text.match(new RegExp(`${labels.subtotal}\\s+${labels.gas}\\s+Taxes\\s+and\\s+Surcharges\\s+\\$?([\\d,.]+)`, 'i'));
     if (gasTaxMatch) {
         data.gas.totalTaxes = parseNumber(gasTaxMatch[1]);
+        source('gas.totalTaxes', 'subtotal-taxes', gasTaxMatch);
     }
 
     // Total Natural Gas Cost
-    const gasTotalMatch = text.match(/Total\s+Natural\s+Gas\s+Cost\s+\$?([\d,.]+)/i);
+    const gasTotalMatch = text.match(new RegExp(`Total\\s+${labels.gas}\\s+${labels.commodityTotal}\\s+\\$?([\\d,.]+)`, 'i'));
     if (gasTotalMatch) {
         data.gas.totalCost = parseNumber(gasTotalMatch[1]);
+        source('gas.totalCost', 'commodity-total', gasTotalMatch);
+    }
+
+    // === POSITIONED TEXT ===
+    // Column-ordered rows give whole rates where the stream-order text splits them
+    if (textLayout) {
+        applyPositionedRates(data, textLayout);
     }
 
     // === TOTALS ===
 
     // Total Energy Charges
-    const totalEnergyMatch = text.match(/Total\s+Energy\s+Charges\s+\$?([\d,.]+)/i);
+    const totalEnergyMatch = text.match(new RegExp(`${labels.energyTotal}\\s+\\$?([\\d,.]+)`, 'i'));
     if (totalEnergyMatch) {
         data.totalEnergyCharges = parseNumber(totalEnergyMatch[1]);
+        source('totalEnergyCharges', 'energy-total', totalEnergyMatch);
     }
 
     // Total Miscellaneous Charges
     const miscMatch = text.match(/Total\s+Miscellaneous\s+Charges\s+\$?([\d,.]+)/i);
     if (miscMatch) {
         data.miscellaneousCharges = parseNumber(miscMatch[1]);
+        source('miscellaneousCharges', 'miscellaneous-total', miscMatch);
     }
 
     // Add miscellaneous charges to total energy charges for true total
-    data.totalEnergyCharges += data.miscellaneousCharges;
+    if (data.totalEnergyCharges !== null && data.miscellaneousCharges !== null) {
+        data.totalEnergyCharges += data.miscellaneousCharges;
+        data.provenance.totalEnergyCharges.rule = 'energy-total + miscellaneous-total';
+    }
 
     // Amount Due
     const amountDueMatch = text.match(/Amount\s+Due:?\s+\$?([\d,.]+)/i);
     if (amountDueMatch) {
         data.amountDue = parseNumber(amountDueMatch[1]);
+        source('amountDue', 'amount-due', amountDueMatch);
+    }
+
+    // === ACCOUNT ACTIVITY ===
+    data.accountActivity = extractAccountActivity(text, data.provenance);
+
+    // === BUDGET BILLING ===
+    data.budgetBilling = extractBudgetBilling(text, data.provenance);
+
+    // === METER READINGS ===
+    const meters = extractMeterReads(text, data.provenance);
+    data.electricity.meter = meters.electricity;
+    data.gas.meter = meters.gas;
+
+    // === LINE ITEMS ===
+    // Every charge row, including riders the fixed fields above don't know about
+    data.lineItems = extractLineItems(text, layout);
+
+    // === TAXES AND SURCHARGES ===
+    // The parts behind each "Subtotal ... Taxes and Surcharges" line
+    for (const commodity of ['electricity', 'gas']) {
+        data[commodity].taxBreakdown = extractTaxBreakdown(data.lineItems, commodity, data.provenance);
+    }
+
+    // === TIME OF USE ===
+    data.electricity.timeOfUse = extractTimeOfUse(text, data.lineItems, data.electricity.usage, data.provenance);
+    if (data.electricity.timeOfUse) {
+        applyTimeOfUse(data.electricity, data.provenance);
+    }
+
+    // === NET METERING ===
+    data.electricity.netMetering = extractNetMetering(text, data.provenance);
+
+    // === SUPPLIER ===
+    // ESCO charges replace the utility's "Supply charge" rows, so the supply
+    // fields come from the supplier section instead
+    for (const commodity of ['electricity', 'gas']) {
+        const supplier = extractSupplier(text, commodity);
+        const target = data[commodity];
+
+        if (supplier.type === 'esco') {
+            const hasSupplyItems = data.lineItems.some(item =>
+                item.commodity === commodity && item.section === 'supply'
+            );
+            if (!hasSupplyItems) {
+                data.lineItems.push(...supplier.items);
+            }
+
+            const usageItems = supplier.items.filter(item => item.rate !== null && item.quantity);
+            if (usageItems.length > 0) {
+                const totalUsage = usageItems.reduce((sum, item) => sum + item.quantity, 0);
+                target.supplyRate = usageItems.reduce((sum, item) => sum + item.quantity * item.rate, 0) / totalUsage;
+                target.supplyCharge = usageItems.reduce((sum, item) => sum + item.amount, 0);
+                recordDerived(data.provenance, [`${commodity}.supplyRate`, `${commodity}.supplyCharge`], 'supplier charge rows');
+            }
+            if (target.totalSupply === null && supplier.total !== null) {
+                target.totalSupply = supplier.total;
+                recordSource(data.provenance, `${commodity}.totalSupply`, 'supplier-total', supplier.totalMatch);
+            }
+        }
+
+        // The supply rate and charge stay on supplyRate/supplyCharge only, so
+        // corrections to them apply everywhere
+        target.supplier = {
+            name: supplier.name,
+            type: supplier.type
+        };
     }
 
+    // === CREDITS AND ASSISTANCE ===
+    // Low-income discounts, HEAP, Project SHARE and one-off bill credits
+    data.credits = extractCredits(text, data.lineItems, data.provenance);
+
     // Calculate billing days if not found but we have dates
-    if (data.servicePeriod.days === 0 && data.servicePeriod.start && data.servicePeriod.end) {
-        const diffTime = Math.abs(data.servicePeriod.end - data.servicePeriod.start);
-        data.servicePeriod.days = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+    if (data.servicePeriod.days === null && data.servicePeriod.start && data.servicePeriod.end) {
+        data.servicePeriod.days = daysBetween(data.servicePeriod.start, data.servicePeriod.end);
+        recordDerived(data.provenance, 'servicePeriod.days', 'days between service dates');
+    }
+    for (const commodity of ['electricity', 'gas']) {
+        const period = data[commodity].servicePeriod;
+        if (period.days !== null || !period.start || !period.end) continue;
+
+        // The bill's day count goes with its own period
+        const sameAsBill = sharesBillPeriod(data, commodity);
+        period.days = sameAsBill && data.servicePeriod.days !== null
+            ? data.servicePeriod.days
+            : daysBetween(period.start, period.end);
+        recordDerived(data.provenance, `${commodity}.servicePeriod.days`,
+            sameAsBill ? 'billing days count' : 'days between service dates');
     }
 
     // === AVERAGE DAILY TEMPERATURE ===
@@ -473,6 +1799,7 @@ export function extractBillData(text, fileName) {
     const tempMatch = text.match(/Daily\s+Average\s+Comparisons[\s\S]*?(\d+)\s*kwh\s+(\d+)°?\s*F/i);
     if (tempMatch) {
         data.averageDailyTemp = parseInt(tempMatch[2]);
+        source('averageDailyTemp', 'daily-average-comparison', tempMatch);
     }
 
     // Alternative pattern: look for temperature after "Average Daily Temp" header
@@ -481,53 +1808,30 @@ export function extractBillData(text, fileName) {
         const altTempMatch = text.match(/Average\s+Daily\s+Temp[\s\S]*?(\d+)°?\s*F/i);
         if (altTempMatch) {
             data.averageDailyTemp = parseInt(altTempMatch[1]);
+            source('averageDailyTemp', 'average-daily-temp', altTempMatch);
         }
     }
 
-    return data;
-}
+    // === USAGE HISTORY ===
+    // Monthly usage and daily averages for earlier periods, used to fill in
+    // months without a bill of their own
+    data.usageHistory = extractUsageHistory(text);
 
-/**
- * Format a date for display
- * @param {Date} date
- * @returns {string}
- */
-export function formatDate(date) {
-    if (!date) return 'N/A';
-    return date.toLocaleDateString('en-US', {
-        year: 'numeric',
-        month: 'short',
-        day: 'numeric'
-    });
-}
+    recordMissingFields(data);
 
-/**
- * Format a date for chart labels
- * @param {Date} date
- * @returns {string}
- */
-export function formatDateShort(date) {
-    if (!date) return 'N/A';
-    return date.toLocaleDateString('en-US', {
-        year: '2-digit',
-        month: 'short'
-    });
-}
+    // === SERVICE CLASS ===
+    // After the services are known, so a class printed once for the whole
+    // bill only goes to the services it covers
+    applyServiceClasses(text, data);
 
-/**
- * Format currency
- * @param {number} amount
- * @returns {string}
- */
-export function formatCurrency(amount) {
-    return '$' + amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    return data;
 }
 
-/**
- * Format rate (more decimal places)
- * @param {number} rate
- * @returns {string}
- */
-export function formatRate(rate) {
-    return '$' + rate.toFixed(5);
-}
+// Extractor plugin for the registry in extractor-registry.js
+export const nysegExtractor = {
+    id: 'nyseg',
+    name: 'NYSEG',
+    detect: detectNysegBill,
+    extractBillData,
+    extractAccountInfo
+};
@@ -0,0 +1,90 @@
+/**
+ * OCR Module
+ * Reads text from scanned (image-only) PDF pages with Tesseract
+ *
+ * Tesseract's script, worker, WASM core and English language data are all
+ * vendored by scripts/build.js, so OCR runs without network access. The
+ * engine is only loaded the first time a scanned page turns up, and shut
+ * down again once the batch of files it was needed for is done.
+ */
+
+const TESSERACT_SCRIPT = 'vendor/tesseract/tesseract.min.js';
+
+// Local paths for the worker, WASM core and language data
+const WORKER_OPTIONS = {
+    workerPath: 'vendor/tesseract/worker.min.js',
+    corePath: 'vendor/tesseract/core',
+    langPath: 'vendor/tesseract/lang',
+    gzip: true
+};
+
+// Tesseract OCR engine mode 1: LSTM only
+const OEM_LSTM_ONLY = 1;
+
+let workerPromise = null;
+
+/**
+ * Load a script by adding a script tag
+ * @param {string} src
+ * @returns {Promise<void>}
+ */
+function loadScript(src) {
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.onload = () => resolve();
+        script.onerror = () => reject(new Error(`Could not load ${src}`));
+        document.head.appendChild(script);
+    });
+}
+
+/**
+ * Start the OCR worker, loading Tesseract on first use
+ * @returns {Promise<Object>} Tesseract worker
+ */
+function getWorker() {
+    if (!workerPromise) {
+        workerPromise = (window.Tesseract ? Promise.resolve() : loadScript(TESSERACT_SCRIPT))
+            .then(() => window.Tesseract.createWorker('eng', OEM_LSTM_ONLY, WORKER_OPTIONS))
+            .catch(error => {
+                // Let a later scanned bill try again
+                workerPromise = null;
+                throw new Error(`OCR engine failed to start: ${error.message}`);
+            });
+    }
+    return workerPromise;
+}
+
+/**
+ * Recognize the text in a rendered page
+ * @param {HTMLCanvasElement} canvas - Page rendered to a canvas
+ * @returns {Promise<{text: string, words: Array<{text: string, x0: number, y0: number, x1: number, y1: number}>}>}
+ *     Text with one line per printed line, and each word's box in canvas pixels
+ */
+export async function recognizeCanvas(canvas) {
+    const worker = await getWorker();
+    const { data } = await worker.recognize(canvas);
+
+    return {
+        text: data.text,
+        words: data.words.map(word => ({ text: word.text, ...word.bbox }))
+    };
+}
+
+/**
+ * Shut down the OCR worker, freeing its WASM core and language data
+ * The next scanned page starts a new one.
+ * @returns {Promise<void>}
+ */
+export async function terminateOCR() {
+    if (!workerPromise) return;
+
+    const pending = workerPromise;
+    workerPromise = null;
+    try {
+        const worker = await pending;
+        await worker.terminate();
+    } catch {
+        // Never started, so there's nothing to free
+    }
+}
@@ -3,6 +3,9 @@
  * Uses pdf.js to extract text content from PDF files
  */
 
+import { buildTextLayout } from './text-layout.js';
+import { recognizeCanvas, terminateOCR } from './ocr.js';
+
 // Configure pdf.js worker
 // Note: pdf.js is loaded via script tag in index.html
 const pdfjsLib = window.pdfjsLib || window['pdfjs-dist/build/pdf'];
@@ -15,23 +18,110 @@ pdfjsLib.GlobalWorkerOptions.workerSrc = 'vendor/pdf.worker.min.js';
 // Create worker immediately on page load
 const sharedWorker = new pdfjsLib.PDFWorker();
 
+// Pages with fewer text characters than this are treated as scanned images
+const MIN_PAGE_TEXT = 20;
+
+// Render scale for OCR; higher reads small print better but is slower
+const OCR_SCALE = 2.5;
+
+/**
+ * Render a page and read its text with OCR
+ * @param {Object} page - pdf.js page
+ * @param {number} pageNum - 1-based page number
+ * @returns {Promise<{text: string, runs: Array<Object>}>} Page text and word runs in PDF units
+ */
+async function ocrPage(page, pageNum) {
+    const viewport = page.getViewport({ scale: OCR_SCALE });
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(viewport.width);
+    canvas.height = Math.ceil(viewport.height);
+    await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+
+    const { text, words } = await recognizeCanvas(canvas);
+    const runs = words.map(word => ({
+        page: pageNum,
+        x: word.x0 / OCR_SCALE,
+        y: word.y1 / OCR_SCALE,
+        width: (word.x1 - word.x0) / OCR_SCALE,
+        height: (word.y1 - word.y0) / OCR_SCALE,
+        font: 'ocr',
+        text: word.text
+    }));
+
+    return { text, runs };
+}
+
+/**
+ * Open a PDF, asking for a password if it's encrypted
+ * @param {ArrayBuffer} data - PDF file contents
+ * @param {string} fileName - Name shown in the password prompt
+ * @param {Function} [requestPassword] - (fileName, incorrect) => Promise<string|null>;
+ *     resolves null to skip the file
+ * @returns {Promise<Object>} pdf.js document
+ * @throws {Error} If the file is encrypted and no password was given
+ */
+async function openPDF(data, fileName, requestPassword) {
+    const loadingTask = pdfjsLib.getDocument({
+        data,
+        worker: sharedWorker
+    });
+
+    let skipped = false;
+    loadingTask.onPassword = async (updatePassword, reason) => {
+        const incorrect = reason === pdfjsLib.PasswordResponses.INCORRECT_PASSWORD;
+        const password = requestPassword ? await requestPassword(fileName, incorrect) : null;
+        if (password === null) {
+            skipped = true;
+            loadingTask.destroy();
+        } else {
+            updatePassword(password);
+        }
+    };
+
+    try {
+        return await loadingTask.promise;
+    } catch (error) {
+        if (skipped || error.name === 'PasswordException') {
+            throw new Error('Password-protected PDF skipped (no password entered)');
+        }
+        throw error;
+    }
+}
+
 /**
  * Extract text content from a PDF file
+ * Returns the page text flattened in stream order, which the regex extractors
+ * are written against, and every text run with its position on the page.
+ * Pages with no text layer (scanned bills) are read with OCR instead.
  * @param {File} file - The PDF file to process
- * @returns {Promise<string>} - The extracted text content
+ * @param {Function} [requestPassword] - Asks for the password of an encrypted PDF, see openPDF
+ * @param {Function} [onOpened] - Called once the PDF has opened, i.e. any password given was right
+ * @returns {Promise<{text: string, runs: Array<{page: number, x: number, y: number, width: number, height: number, font: string, text: string}>, ocr: boolean}>}
+ * @throws {Error} If no text can be read from the PDF at all
  */
-export async function extractTextFromPDF(file) {
+export async function extractTextFromPDF(file, requestPassword, onOpened) {
     const arrayBuffer = await file.arrayBuffer();
-    const pdf = await pdfjsLib.getDocument({
-        data: arrayBuffer,
-        worker: sharedWorker
-    }).promise;
+    const pdf = await openPDF(arrayBuffer, file.name, requestPassword);
+    onOpened?.();
 
     let fullText = '';
+    const runs = [];
+    let ocr = false;
 
     for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
         const page = await pdf.getPage(pageNum);
         const textContent = await page.getTextContent();
+        const pageHeight = page.getViewport({ scale: 1 }).height;
+
+        // Image-only page: read it with OCR
+        const pageChars = textContent.items.reduce((sum, item) => sum + item.str.trim().length, 0);
+        if (pageChars < MIN_PAGE_TEXT) {
+            const scanned = await ocrPage(page, pageNum);
+            fullText += scanned.text + '\n\n--- PAGE BREAK ---\n\n';
+            runs.push(...scanned.runs);
+            ocr = true;
+            continue;
+        }
 
         // Extract text items and join with spaces
         // Preserve some structure by adding newlines between distant items
@@ -45,34 +135,85 @@ export async function extractTextFromPDF(file) {
             }
             pageText += item.str + ' ';
             lastY = item.transform[5];
+
+            // Positions measured from the top-left, y at the baseline
+            runs.push({
+                page: pageNum,
+                x: item.transform[4],
+                y: pageHeight - item.transform[5],
+                width: item.width,
+                height: item.height || Math.hypot(item.transform[2], item.transform[3]),
+                font: textContent.styles[item.fontName]?.fontFamily ?? item.fontName,
+                text: item.str
+            });
         }
 
         fullText += pageText + '\n\n--- PAGE BREAK ---\n\n';
     }
 
-    return fullText;
+    if (!fullText.replace(/--- PAGE BREAK ---/g, '').trim()) {
+        throw new Error('No text could be read from this PDF, even with OCR');
+    }
+
+    return { text: fullText, runs, ocr };
 }
 
 /**
  * Process multiple PDF files
+ * A password the user chooses to reuse is tried first on later encrypted
+ * files in the same batch once it has opened its own file. It's forgotten
+ * when it fails to open one, and when the batch is done.
  * @param {FileList|File[]} files - Array of PDF files
  * @param {Function} progressCallback - Called with progress updates
- * @returns {Promise<Array<{file: File, text: string, error?: string}>>}
+ * @param {Function} [promptPassword] - (fileName, incorrect) => Promise<{password: string, reuse: boolean}|null>
+ * @returns {Promise<Array<{file: File, text: string, layout: Object|null, ocr: boolean, error?: string}>>}
  */
-export async function processMultiplePDFs(files, progressCallback) {
+export async function processMultiplePDFs(files, progressCallback, promptPassword) {
     const results = [];
 
+    let batchPassword = null;
+
     for (let i = 0; i < files.length; i++) {
         const file = files[i];
         progressCallback?.(i + 1, files.length, file.name);
 
+        // A password ticked for reuse is only kept once it has opened its file
+        let reusable = null;
+        let triedBatch = false;
+        const requestPassword = async (fileName, incorrect) => {
+            if (batchPassword !== null && !incorrect) {
+                triedBatch = true;
+                return batchPassword;
+            }
+            if (triedBatch) {
+                // The reused password doesn't open this file: forget it and
+                // ask as if this were the first try
+                batchPassword = null;
+                triedBatch = false;
+                incorrect = false;
+            }
+            if (!promptPassword) return null;
+
+            const answer = await promptPassword(fileName, incorrect);
+            if (!answer) return null;
+            reusable = answer.reuse ? answer.password : null;
+            return answer.password;
+        };
+        const onOpened = () => {
+            if (reusable !== null) batchPassword = reusable;
+        };
+
         try {
-            const text = await extractTextFromPDF(file);
-            results.push({ file, text });
+            const { text, runs, ocr } = await extractTextFromPDF(file, requestPassword, onOpened);
+            results.push({ file, text, layout: buildTextLayout(runs), ocr });
         } catch (error) {
-            results.push({ file, text: '', error: error.message });
+            results.push({ file, text: '', layout: null, ocr: false, error: error.message });
         }
     }
 
+    // Don't hold the OCR engine in memory once the scanned bills are read
+    // (a no-op when no page needed OCR)
+    await terminateOCR();
+
     return results;
 }
@@ -0,0 +1,96 @@
+/**
+ * Provenance Module
+ * Records where each extracted field came from, so a wrong value can be
+ * traced back to the rule that read it and the text it was read from
+ *
+ * Entries live in bill.provenance, keyed by field path:
+ * {rule, snippet, offset, length}, where offset and length locate the
+ * snippet in bill.text. Values worked out from other fields, or read from
+ * positioned text rather than the page text, have a null offset.
+ */
+
+/**
+ * Provenance entry for the text a rule matched
+ * A list of matches (e.g. one per month-split row) becomes the span from the
+ * first match to the end of the last.
+ * @param {string} rule - Name of the rule that matched
+ * @param {RegExpMatchArray|Array<RegExpMatchArray>} match - Match(es) with `index` set
+ * @param {number} [base] - Offset of the matched string in the page text, for
+ *     matches against a slice of it
+ * @returns {{rule: string, snippet: string, offset: number, length: number}}
+ */
+export function sourceOf(rule, match, base = 0) {
+    const matches = typeof match[0] === 'string' ? [match] : match;
+    const first = matches[0];
+    const last = matches[matches.length - 1];
+    const start = base + first.index;
+    const end = base + last.index + last[0].length;
+    const snippet = matches.length === 1 ? first[0] : matches.map(m => m[0]).join(' … ');
+    return { rule, snippet, offset: start, length: end - start };
+}
+
+/**
+ * Record the text a rule matched for one or more fields
+ * @param {Object} provenance - bill.provenance
+ * @param {string|Array<string>} paths - Field path(s) the match filled in
+ * @param {string} rule - Name of the rule that matched
+ * @param {RegExpMatchArray|Array<RegExpMatchArray>} match - Match(es), as for sourceOf
+ * @param {number} [base] - Offset of the matched string in the page text
+ */
+export function recordSource(provenance, paths, rule, match, base = 0) {
+    const entry = sourceOf(rule, match, base);
+    for (const path of [].concat(paths)) {
+        provenance[path] = { ...entry };
+    }
+}
+
+/**
+ * Record fields that weren't read straight from the page text
+ * @param {Object} provenance - bill.provenance
+ * @param {string|Array<string>} paths - Field path(s)
+ * @param {string} rule - How the value was worked out
+ * @param {string} [snippet] - Text it was read from, e.g. a positioned row
+ */
+export function recordDerived(provenance, paths, rule, snippet = '') {
+    for (const path of [].concat(paths)) {
+        provenance[path] = { rule, snippet, offset: null, length: 0 };
+    }
+}
+
+/**
+ * Every provenance entry on a bill, including each line item's and credit's `source`
+ * @param {Object} bill - Extracted bill
+ * @returns {Array<[string, Object]>} [path, entry] pairs in page text order,
+ *     with entries that have no offset last
+ */
+export function provenanceEntries(bill) {
+    const entries = Object.entries(bill.provenance ?? {});
+    bill.lineItems.forEach((item, index) => {
+        if (item.source) entries.push([`lineItems.${index}`, item.source]);
+    });
+    (bill.credits?.items ?? []).forEach((item, index) => {
+        if (!item.inCharges) entries.push([`credits.items.${index}`, item.source]);
+    });
+    return entries.sort(([, a], [, b]) => (a.offset ?? Infinity) - (b.offset ?? Infinity));
+}
+
+/**
+ * Text spans to highlight for a bill, one per distinct match
+ * Fields read by the same match share a span.
+ * @param {Object} bill - Extracted bill
+ * @returns {Array<{offset: number, length: number, rule: string, fields: Array<string>}>}
+ *     Spans sorted by offset
+ */
+export function sourceSpans(bill) {
+    const spans = new Map();
+    for (const [path, entry] of provenanceEntries(bill)) {
+        if (entry.offset === null) continue;
+        const key = `${entry.offset}:${entry.length}`;
+        if (!spans.has(key)) {
+            spans.set(key, { offset: entry.offset, length: entry.length, rule: entry.rule, fields: [] });
+        }
+        spans.get(key).fields.push(path);
+    }
+
+    return [...spans.values()].sort((a, b) => a.offset - b.offset || b.length - a.length);
+}
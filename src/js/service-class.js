@@ -0,0 +1,78 @@
+/**
+ * Service Class Module
+ * Spots bills billed under different service classifications (e.g. SC1
+ * residential and SC2 small commercial), whose rates can't be compared like
+ * for like
+ */
+
+import { accountKey } from './accounts.js';
+import { COMMODITY_LABELS, COMMODITY_TAGS } from './bill-schema.js';
+
+/**
+ * Describe a service class for display
+ * @param {{code: string, description: string|null}|null} serviceClass
+ * @returns {string} e.g. "SC1 Residential", or '' when it wasn't found
+ */
+export function formatServiceClass(serviceClass) {
+    if (!serviceClass) return '';
+    return serviceClass.description ? `${serviceClass.code} ${serviceClass.description}` : serviceClass.code;
+}
+
+/**
+ * The service classes a set of bills were billed under
+ * @param {Array} bills - Extracted bills
+ * @returns {{electricity: Array<string>, gas: Array<string>}} Class codes per
+ *     commodity, in order of first appearance
+ */
+export function serviceClassesInUse(bills) {
+    const classes = { electricity: new Set(), gas: new Set() };
+    for (const bill of bills) {
+        for (const commodity of Object.keys(classes)) {
+            const code = bill[commodity].serviceClass?.code;
+            if (code) classes[commodity].add(code);
+        }
+    }
+    return { electricity: [...classes.electricity], gas: [...classes.gas] };
+}
+
+/**
+ * Warning for a set of bills that span more than one service class
+ * @param {Array} bills - Extracted bills
+ * @returns {string} e.g. "Electric bills span service classes SC1, SC2", or ''
+ *     when each commodity has at most one class
+ */
+export function describeClassMix(bills) {
+    return Object.entries(serviceClassesInUse(bills))
+        .filter(([, codes]) => codes.length > 1)
+        .map(([commodity, codes]) => `${COMMODITY_LABELS[commodity]} bills span service classes ${codes.join(', ')}`)
+        .join('; ');
+}
+
+/**
+ * Bills where the service class differs from the account's previous bill
+ * Bills without a class are skipped over, so each change lands on the first
+ * bill of the new class.
+ * @param {Array} sortedBills - Bills sorted by statement date
+ * @returns {Array<{billIndex: number, text: string}>} One marker per bill
+ *     that changes, e.g. {billIndex: 7, text: "ELEC SC1→SC2"}
+ */
+export function serviceClassChanges(sortedBills) {
+    const previous = new Map();
+    const changes = [];
+
+    sortedBills.forEach((bill, billIndex) => {
+        const parts = [];
+        for (const commodity of Object.keys(COMMODITY_TAGS)) {
+            const code = bill[commodity].serviceClass?.code;
+            if (!code) continue;
+
+            const key = `${accountKey(bill)}|${commodity}`;
+            const from = previous.get(key);
+            if (from && from !== code) parts.push(`${COMMODITY_TAGS[commodity]} ${from}→${code}`);
+            previous.set(key, code);
+        }
+        if (parts.length > 0) changes.push({ billIndex, text: parts.join(', ') });
+    });
+
+    return changes;
+}
@@ -0,0 +1,141 @@
+/**
+ * Text Layout Module
+ * Rebuilds rows and cells from positioned PDF text runs so extractors can
+ * read a bill by position instead of by stream order
+ *
+ * A run is {page, x, y, width, height, font, text}, with x/y in PDF units
+ * measured from the top-left of the page (y is the baseline).
+ */
+
+// Runs whose baselines differ by less than this fraction of their height share a row
+const ROW_TOLERANCE = 0.5;
+
+// Gap, as a fraction of text height, below which two runs belong to the same word
+const JOIN_GAP = 0.1;
+
+// Gap, as a fraction of text height, above which two runs are separate cells
+const CELL_GAP = 1.5;
+
+/**
+ * Join runs that sit side by side into one string
+ * Runs that touch are joined without a space, which puts split numbers like
+ * "@ 0." + "07894" back together.
+ * @param {Array<Object>} runs - Runs sorted by x
+ * @returns {string}
+ */
+function joinRuns(runs) {
+    let text = '';
+    let previous = null;
+    for (const run of runs) {
+        if (previous) {
+            const gap = run.x - (previous.x + previous.width);
+            text += gap > JOIN_GAP * Math.max(run.height, 1) ? ' ' : '';
+        }
+        text += run.text.trim();
+        previous = run;
+    }
+    return text.trim();
+}
+
+/**
+ * Split a row's runs into cells at wide horizontal gaps
+ * @param {Array<Object>} runs - Runs sorted by x
+ * @returns {Array<{x: number, right: number, text: string, runs: Array<Object>}>}
+ */
+function splitCells(runs) {
+    const cells = [];
+    let current = [];
+
+    for (const run of runs) {
+        const previous = current[current.length - 1];
+        if (previous && run.x - (previous.x + previous.width) > CELL_GAP * Math.max(run.height, 1)) {
+            cells.push(current);
+            current = [];
+        }
+        current.push(run);
+    }
+    if (current.length > 0) cells.push(current);
+
+    return cells.map(cellRuns => {
+        const last = cellRuns[cellRuns.length - 1];
+        return {
+            x: cellRuns[0].x,
+            right: last.x + last.width,
+            text: joinRuns(cellRuns),
+            runs: cellRuns
+        };
+    });
+}
+
+/**
+ * Group positioned runs into rows of cells, page by page, top to bottom
+ * @param {Array<Object>} runs - Positioned text runs from the PDF parser
+ * @returns {{rows: Array<{page: number, y: number, text: string, cells: Array<Object>, runs: Array<Object>}>}}
+ */
+export function buildTextLayout(runs) {
+    const sorted = runs
+        .filter(run => run.text.trim())
+        .sort((a, b) => a.page - b.page || a.y - b.y || a.x - b.x);
+
+    const rows = [];
+    for (const run of sorted) {
+        const row = rows[rows.length - 1];
+        const tolerance = ROW_TOLERANCE * Math.max(run.height, 1);
+        if (row && row.page === run.page && Math.abs(row.y - run.y) <= tolerance) {
+            row.runs.push(run);
+        } else {
+            rows.push({ page: run.page, y: run.y, runs: [run] });
+        }
+    }
+
+    return {
+        rows: rows.map(row => {
+            const rowRuns = row.runs.sort((a, b) => a.x - b.x);
+            const cells = splitCells(rowRuns);
+            return {
+                page: row.page,
+                y: row.y,
+                text: cells.map(cell => cell.text).join('   '),
+                cells,
+                runs: rowRuns
+            };
+        })
+    };
+}
+
+/**
+ * Build a layout from plain text, for when no positioned runs are available
+ * Each line is a row and each stretch of text between runs of two or more
+ * spaces is a cell, positioned by character offset with a text height of 1.
+ * @param {string} text - Extracted PDF text, pages separated by "--- PAGE BREAK ---"
+ * @returns {Object} Layout as from buildTextLayout
+ */
+export function buildPlainTextLayout(text) {
+    const runs = [];
+    text.split(/--- PAGE BREAK ---/).forEach((pageText, pageIndex) => {
+        pageText.split('\n').forEach((line, lineIndex) => {
+            for (const match of line.matchAll(/\S+(?: \S+)*/g)) {
+                runs.push({
+                    page: pageIndex + 1,
+                    x: match.index,
+                    y: lineIndex,
+                    width: match[0].length,
+                    height: 1,
+                    font: null,
+                    text: match[0]
+                });
+            }
+        });
+    });
+    return buildTextLayout(runs);
+}
+
+/**
+ * Rows whose text matches a pattern
+ * @param {Object} layout - Layout from buildTextLayout
+ * @param {RegExp} pattern
+ * @returns {Array<Object>}
+ */
+export function findRows(layout, pattern) {
+    return layout.rows.filter(row => pattern.test(row.text));
+}
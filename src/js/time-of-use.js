@@ -0,0 +1,80 @@
+/**
+ * Time-of-Use Module
+ * Prices time-of-use bills at the flat rate to show what the TOU plan saved or cost
+ */
+
+// Flat-rate field priced in place of each time-of-use section
+const FLAT_RATE_FIELDS = {
+    delivery: 'deliveryRate',
+    supply: 'supplyRate'
+};
+
+/**
+ * Find the flat-rate bill closest in time to a time-of-use bill
+ * Bills under another service class are priced on a different tariff, so
+ * they're skipped when both classes are known.
+ * @param {Array} sortedBills - Bills sorted by statement date
+ * @param {Object} bill - Time-of-use bill
+ * @param {Array<string>} sections - Sections whose flat rate is needed
+ * @returns {Object|null}
+ */
+function nearestFlatRateBill(sortedBills, bill, sections) {
+    const serviceClass = bill.electricity.serviceClass?.code;
+    let nearest = null;
+    let nearestDistance = Infinity;
+
+    for (const candidate of sortedBills) {
+        if (candidate.electricity.timeOfUse || !candidate.statementDate) continue;
+        const candidateClass = candidate.electricity.serviceClass?.code;
+        if (serviceClass && candidateClass && candidateClass !== serviceClass) continue;
+        if (sections.some(section => candidate.electricity[FLAT_RATE_FIELDS[section]] === null)) continue;
+
+        const distance = Math.abs(candidate.statementDate - bill.statementDate);
+        if (distance < nearestDistance) {
+            nearest = candidate;
+            nearestDistance = distance;
+        }
+    }
+
+    return nearest;
+}
+
+/**
+ * Estimate what each time-of-use bill would have cost on the flat rate
+ * Period-priced charges are swapped for total usage × the flat rate from the
+ * nearest flat-rate bill in the session; everything else on the bill (basic
+ * service, riders, taxes) is kept as billed. Sets `flatRateCost`,
+ * `flatRateSource` (statement date of the bill the rates came from) and
+ * `savings` (flat minus actual; positive means TOU was cheaper) on
+ * `electricity.timeOfUse`, all null when there's no flat-rate bill to compare with.
+ * @param {Array} sortedBills - Bills sorted by statement date
+ */
+export function applyFlatRateComparison(sortedBills) {
+    for (const bill of sortedBills) {
+        const { timeOfUse, totalCost, usage } = bill.electricity;
+        if (!timeOfUse) continue;
+
+        timeOfUse.flatRateCost = null;
+        timeOfUse.flatRateSource = null;
+        timeOfUse.savings = null;
+
+        const { onPeak, offPeak } = timeOfUse;
+        const sections = Object.keys(FLAT_RATE_FIELDS).filter(section =>
+            onPeak.charges[section] !== null || offPeak.charges[section] !== null
+        );
+        if (sections.length === 0 || totalCost === null || !bill.statementDate) continue;
+
+        const reference = nearestFlatRateBill(sortedBills, bill, sections);
+        if (!reference) continue;
+
+        let flatRateCost = totalCost;
+        for (const section of sections) {
+            flatRateCost -= (onPeak.charges[section] ?? 0) + (offPeak.charges[section] ?? 0);
+            flatRateCost += usage * reference.electricity[FLAT_RATE_FIELDS[section]];
+        }
+
+        timeOfUse.flatRateCost = flatRateCost;
+        timeOfUse.flatRateSource = reference.statementDate;
+        timeOfUse.savings = flatRateCost - totalCost;
+    }
+}
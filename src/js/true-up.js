@@ -0,0 +1,59 @@
+/**
+ * True-Up Module
+ * Spreads usage back over runs of estimated meter reads once an actual read arrives
+ */
+
+import { servicePeriodFor } from './bill-schema.js';
+
+// Usage field for each commodity
+const USAGE_FIELDS = {
+    electricity: 'usage',
+    gas: 'usageTherms'
+};
+
+/**
+ * Recompute usage for each run of estimated reads that an actual read closes
+ * The actual read settles the whole run, so the run's total billed usage is
+ * redistributed across its bills in proportion to their billing days. Sets
+ * `trueUpUsage` on each commodity: the redistributed usage for bills in a
+ * settled run, null otherwise.
+ * @param {Array} sortedBills - Bills sorted by statement date
+ */
+export function applyTrueUps(sortedBills) {
+    for (const [commodity, usageField] of Object.entries(USAGE_FIELDS)) {
+        let run = [];
+
+        for (const bill of sortedBills) {
+            bill[commodity].trueUpUsage = null;
+            const meter = bill[commodity].meter;
+
+            if (meter?.estimated) {
+                run.push(bill);
+                continue;
+            }
+
+            if (run.length > 0 && meter?.currentReadType) {
+                settleRun([...run, bill], commodity, usageField);
+            }
+            run = [];
+        }
+    }
+}
+
+/**
+ * Redistribute a settled run's usage by billing days
+ * @param {Array} bills - Estimated bills followed by the bill with the actual read
+ * @param {string} commodity - 'electricity' or 'gas'
+ * @param {string} usageField - Usage field on the commodity
+ */
+function settleRun(bills, commodity, usageField) {
+    const complete = bills.every(b => b[commodity][usageField] !== null && servicePeriodFor(b, commodity).days > 0);
+    if (!complete) return;
+
+    const totalUsage = bills.reduce((sum, b) => sum + b[commodity][usageField], 0);
+    const totalDays = bills.reduce((sum, b) => sum + servicePeriodFor(b, commodity).days, 0);
+
+    for (const bill of bills) {
+        bill[commodity].trueUpUsage = totalUsage * servicePeriodFor(bill, commodity).days / totalDays;
+    }
+}
@@ -0,0 +1,102 @@
+/**
+ * Usage History Module
+ * Merges the usage history tables printed on each bill into one series of
+ * months that have no bill of their own, so a few recent bills can fill in
+ * the usage and temperature charts further back
+ */
+
+import { accountKey } from './accounts.js';
+
+// Unit each commodity is charted in
+const CHART_UNITS = {
+    electricity: 'kwh',
+    gas: 'therms'
+};
+
+/**
+ * Key for a calendar month
+ * @param {Date} date
+ * @returns {string} e.g. "2025-0" for January 2025
+ */
+function monthKey(date) {
+    return `${date.getFullYear()}-${date.getMonth()}`;
+}
+
+/**
+ * The usage month a bill covers, matching how history tables label it
+ * That's the month holding the middle of the service period (a 01/09–02/07
+ * bill is "Jan"), or the month before the statement date when the service
+ * period wasn't found.
+ * @param {Object} bill
+ * @returns {Date|null} First day of the month
+ */
+function billUsageMonth(bill) {
+    const { start, end } = bill.servicePeriod;
+    if (start && end) {
+        const middle = new Date((start.getTime() + end.getTime()) / 2);
+        return new Date(middle.getFullYear(), middle.getMonth(), 1);
+    }
+    if (bill.statementDate) {
+        return new Date(bill.statementDate.getFullYear(), bill.statementDate.getMonth() - 1, 1);
+    }
+    return null;
+}
+
+/**
+ * Usage for a history row in the unit the charts use (kWh or therms)
+ * Uses the monthly figure, or the daily average × days when only the daily
+ * comparison row was printed.
+ * @param {Object} row - Usage history row
+ * @param {string} unit - 'kwh' or 'therms'
+ * @returns {number|null}
+ */
+function historyUsage(row, unit) {
+    if (row.unit !== unit) return null;
+    if (row.usage !== null) return row.usage;
+    if (row.dailyUsage !== null && row.days !== null) return row.dailyUsage * row.days;
+    return null;
+}
+
+/**
+ * Build the history series from every bill's usage history tables
+ * Months already covered by a bill are left out. When several bills print
+ * the same month, the most recent bill's figures win. Bills from more than
+ * one account get no history, since one series can't stand for several homes.
+ * @param {Array} sortedBills - Bills sorted by statement date
+ * @returns {Array<{month: Date, electricity: number|null, gas: number|null, temperature: number|null, source: string}>}
+ *     Months oldest first, with kWh, therms, average daily °F and the file
+ *     name of the bill the figures came from
+ */
+export function buildUsageHistory(sortedBills) {
+    if (new Set(sortedBills.map(accountKey)).size > 1) return [];
+
+    const covered = new Set(sortedBills.map(billUsageMonth).filter(month => month !== null).map(monthKey));
+    const months = new Map();
+
+    for (const bill of sortedBills) {
+        for (const [commodity, unit] of Object.entries(CHART_UNITS)) {
+            for (const row of bill.usageHistory?.[commodity] ?? []) {
+                const key = monthKey(row.month);
+                if (covered.has(key)) continue;
+
+                if (!months.has(key)) {
+                    months.set(key, { month: row.month, electricity: null, gas: null, temperature: null, source: null });
+                }
+                const entry = months.get(key);
+                const usage = historyUsage(row, unit);
+                if (usage !== null) {
+                    entry[commodity] = usage;
+                    entry.source = bill.fileName;
+                }
+                if (row.temperature !== null) {
+                    entry.temperature = row.temperature;
+                    entry.source = entry.source ?? bill.fileName;
+                }
+            }
+        }
+    }
+
+    return [...months.values()]
+        .filter(entry => entry.electricity !== null || entry.gas !== null || entry.temperature !== null)
+        .sort((a, b) => a.month - b.month);
+}